@@ -0,0 +1,89 @@
+/**
+ * Access Module
+ *
+ * Разрешённые корневые каталоги: сервер читает логи и пишет отчёты только внутри
+ * них. Корни задаются аргументами командной строки или LOG_EXPLORER_ROOTS; без
+ * них корень — текущий каталог, без ограничений — только по --allow-all. Путь
+ * проверяется после разрешения ".." и раскрытия символических ссылок, поэтому
+ * ссылка внутри корня на /etc не даёт доступа
+ */
+
+import { realpathSync, lstatSync } from 'fs';
+import { resolve, dirname, sep } from 'path';
+
+// Реальные пути корней; null — ограничений нет
+let allowedRoots = null;
+
+/**
+ * Путь вне разрешённых каталогов
+ */
+export class AccessError extends Error {
+  constructor(path) {
+    super(`Access denied: ${path} is outside the allowed directories`);
+    this.name = 'AccessError';
+  }
+}
+
+/**
+ * Устанавливает разрешённые корни; null — без ограничений.
+ * Несуществующий корень пропускается с сообщением, но ограничение остаётся:
+ * без единого корня доступа нет ни к чему
+ */
+export function setAllowedRoots(roots) {
+  if (roots === null) {
+    allowedRoots = null;
+    return;
+  }
+  allowedRoots = [];
+  for (const root of roots) {
+    try {
+      allowedRoots.push(realpathSync(resolve(root)));
+    } catch (e) {
+      console.error(`Skipping allowed directory ${root}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Реальные пути разрешённых корней или null
+ */
+export function getAllowedRoots() {
+  return allowedRoots;
+}
+
+function exists(path) {
+  try {
+    lstatSync(path);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isWithin(path, root) {
+  return path === root || path.startsWith(root.endsWith(sep) ? root : root + sep);
+}
+
+/**
+ * Разрешён ли путь. Несуществующий путь проверяется по ближайшему существующему
+ * предку — туда он был бы создан; так ответ не выдаёт, существует ли файл вне корней.
+ * Висячая ссылка запрещена: запись по ней создала бы файл где угодно
+ */
+export function isAllowed(path) {
+  if (!allowedRoots) return true;
+  let existing = resolve(path);
+  while (!exists(existing) && dirname(existing) !== existing) existing = dirname(existing);
+  try {
+    const real = realpathSync(existing);
+    return allowedRoots.some(root => isWithin(real, root));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @throws {AccessError} путь вне разрешённых каталогов
+ */
+export function checkAccess(path) {
+  if (!isAllowed(path)) throw new AccessError(path);
+}
@@ -0,0 +1,215 @@
+/**
+ * Anomaly Detection Module
+ *
+ * Поиск аномалий во временном ряду количеств записей по bucket'ам:
+ * всплески и провалы относительно устойчивого базового уровня (медиана/MAD),
+ * тишина, смены уровня (change points), появление и исчезновение кластера
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Порог модифицированного z-score (Iglewicz–Hoaglin)
+const DEFAULT_SENSITIVITY = 3.5;
+
+// Провал и тишина ищутся только там, где ожидалось хотя бы столько записей в bucket
+const MIN_EXPECTED = 5;
+
+// Смена уровня: минимальная длина сегмента (в bucket'ах и в доле ряда — короткие
+// отклонения остаются всплесками и провалами), отношение медиан сегментов и число точек
+const MIN_SEGMENT = 3;
+const MIN_SEGMENT_FRACTION = 0.1;
+const MIN_SHIFT_RATIO = 2;
+const MAX_CHANGE_POINTS = 5;
+
+// Появление/исчезновение кластера учитывается, если оно дальше этой доли диапазона от края
+const EDGE_FRACTION = 0.1;
+
+/**
+ * Медиана (массив не изменяется)
+ */
+export function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Медианное абсолютное отклонение
+ */
+export function mad(values, center = median(values)) {
+  return median(values.map(v => Math.abs(v - center)));
+}
+
+/**
+ * Масштаб шума ряда: MAD первых разностей (не чувствителен к сменам уровня),
+ * но не меньше пуассоновского шума √level
+ */
+function noiseScale(counts, level) {
+  const diffs = [];
+  for (let i = 1; i < counts.length; i++) diffs.push(counts[i] - counts[i - 1]);
+  const fromDiffs = diffs.length > 0 ? (1.4826 * mad(diffs)) / Math.SQRT2 : 0;
+  return Math.max(fromDiffs, Math.sqrt(Math.max(level, 1)));
+}
+
+/**
+ * Смены уровня бинарной сегментацией: разбиение с наибольшим уменьшением
+ * суммы квадратов, принимается при значимой разнице средних (t-статистика)
+ * и отношении медиан сегментов не меньше MIN_SHIFT_RATIO — одиночный всплеск
+ * сдвигает среднее, но не медиану
+ *
+ * @returns {Array<{index: number, before: number, after: number, score: number}>} index — первый
+ *   bucket нового уровня; before/after — медианы сегментов
+ */
+export function detectChangePoints(counts, { scale, threshold = DEFAULT_SENSITIVITY * 2 } = {}) {
+  const prefix = [0];
+  for (const c of counts) prefix.push(prefix[prefix.length - 1] + c);
+  const mean = (from, to) => (prefix[to] - prefix[from]) / (to - from);
+  const minSegment = Math.max(MIN_SEGMENT, Math.round(counts.length * MIN_SEGMENT_FRACTION));
+  
+  const points = [];
+  const segments = [[0, counts.length]];
+  
+  while (segments.length > 0 && points.length < MAX_CHANGE_POINTS) {
+    const [from, to] = segments.shift();
+    let best = null;
+    
+    for (let k = from + minSegment; k <= to - minSegment; k++) {
+      const n1 = k - from;
+      const n2 = to - k;
+      const diff = mean(k, to) - mean(from, k);
+      const gain = (n1 * n2 / (n1 + n2)) * diff * diff;
+      if (!best || gain > best.gain) best = { index: k, gain, n1, n2 };
+    }
+    if (!best) continue;
+    
+    const score = Math.abs(mean(best.index, to) - mean(from, best.index)) /
+      (scale * Math.sqrt(1 / best.n1 + 1 / best.n2));
+    const before = median(counts.slice(from, best.index));
+    const after = median(counts.slice(best.index, to));
+    const ratio = (Math.max(before, after) + 1) / (Math.min(before, after) + 1);
+    if (score < threshold || ratio < MIN_SHIFT_RATIO) continue;
+    
+    points.push({ index: best.index, before, after, score });
+    segments.push([from, best.index], [best.index, to]);
+  }
+  
+  return points.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Ожидаемое количество по каждому bucket
+ *
+ * Сезонный ряд (не меньше двух периодов) — медиана bucket'ов той же фазы;
+ * иначе медиана сегмента между сменами уровня.
+ */
+function expectedCounts(counts, changePoints, period) {
+  if (period && counts.length >= period * 2) {
+    return counts.map((_, i) => {
+      const samePhase = [];
+      for (let j = i % period; j < counts.length; j += period) {
+        if (j !== i) samePhase.push(counts[j]);
+      }
+      return median(samePhase);
+    });
+  }
+  
+  const expected = new Array(counts.length);
+  const bounds = [0, ...changePoints.map(p => p.index), counts.length];
+  for (let s = 0; s < bounds.length - 1; s++) {
+    const level = median(counts.slice(bounds[s], bounds[s + 1]));
+    for (let i = bounds[s]; i < bounds[s + 1]; i++) expected[i] = level;
+  }
+  return expected;
+}
+
+/**
+ * Период суточной сезонности в bucket'ах (если сутки делятся на bucket нацело)
+ */
+export function dailyPeriod(bucketMs) {
+  const period = DAY_MS / bucketMs;
+  return Number.isInteger(period) && period > 1 ? period : null;
+}
+
+/**
+ * Аномалии ряда
+ *
+ * @param {number[]} counts - количества по bucket'ам
+ * @param {{coverage?: number[], period?: number|null, sensitivity?: number}} options
+ *   coverage — доля bucket'а внутри диапазона данных (крайние bucket'ы неполные);
+ *   period — период сезонности в bucket'ах
+ * @returns {{level: number, scale: number, seasonal: boolean, score: number,
+ *            events: Array<{type: string, index: number, endIndex?: number, score: number}>}}
+ */
+export function analyzeSeries(counts, options = {}) {
+  const { coverage = null, period = null, sensitivity = DEFAULT_SENSITIVITY } = options;
+  const level = median(counts);
+  const scale = noiseScale(counts, level);
+  const seasonal = Boolean(period && counts.length >= period * 2);
+  const changePoints = seasonal ? [] : detectChangePoints(counts, { scale, threshold: sensitivity * 2 });
+  const expected = expectedCounts(counts, changePoints, period)
+    .map((value, i) => (coverage ? value * coverage[i] : value));
+  
+  const events = changePoints.map(p => ({
+    type: 'level_shift',
+    index: p.index,
+    before: p.before,
+    after: p.after,
+    score: p.score
+  }));
+  
+  // Подряд идущие отклонения одного знака — одно событие с пиковым z-score
+  let run = null;
+  const closeRun = () => {
+    if (!run) return;
+    if (run.type === 'drop' && run.count === 0) run.type = 'silence';
+    events.push(run);
+    run = null;
+  };
+  
+  for (let i = 0; i < counts.length; i++) {
+    const localScale = Math.max(scale, Math.sqrt(Math.max(expected[i], 1)));
+    const z = (counts[i] - expected[i]) / localScale;
+    let type = null;
+    if (z >= sensitivity) type = 'spike';
+    else if (z <= -sensitivity && expected[i] >= MIN_EXPECTED) type = 'drop';
+    
+    if (run && run.type !== type) closeRun();
+    if (!type) continue;
+    if (!run) run = { type, index: i, endIndex: i, count: 0, expected: 0, score: 0 };
+    run.endIndex = i;
+    run.count += counts[i];
+    run.expected += expected[i];
+    run.score = Math.max(run.score, Math.abs(z));
+  }
+  closeRun();
+  
+  events.sort((a, b) => b.score - a.score);
+  return {
+    level,
+    scale,
+    seasonal,
+    score: events.length > 0 ? events[0].score : 0,
+    events
+  };
+}
+
+/**
+ * Появление и исчезновение кластера внутри диапазона
+ *
+ * Оценка — √count: значимость ненулевого количества против нулевого базового уровня.
+ *
+ * @param {{first: number, last: number, count: number}} seen - время первой/последней записи кластера и их число
+ * @param {{start: number, end: number}} range - миллисекунды
+ */
+export function lifecycleEvents(seen, range) {
+  const margin = (range.end - range.start) * EDGE_FRACTION;
+  const events = [];
+  if (seen.first - range.start > margin) {
+    events.push({ type: 'first_seen', time: seen.first, score: Math.sqrt(seen.count) });
+  }
+  if (range.end - seen.last > margin) {
+    events.push({ type: 'last_seen', time: seen.last, score: Math.sqrt(seen.count) });
+  }
+  return events;
+}
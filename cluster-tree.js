@@ -0,0 +1,100 @@
+/**
+ * Cluster Tree Module
+ *
+ * Иерархия кластеров для многоуровневого drill-down. Каждый раскрытый узел хранит
+ * уровень — свой кластеризатор и назначения записей, как у корневого прохода.
+ * ID узла — путь из стабильных ID через точку: "67fd9c05.7b341004.other".
+ */
+
+import { clusterMembership } from './clustering.js';
+
+export const PATH_SEPARATOR = '.';
+
+/**
+ * Разбивает путь кластера на сегменты
+ */
+export function parseClusterPath(id) {
+  return String(id).split(PATH_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Дерево раскрытых кластеров одного результата кластеризации
+ *
+ * Уровень — объект { clusterer, records: RecordStore, weight? };
+ * корневой уровень — сам результат getOrCreateClustering.
+ */
+export class ClusterTree {
+  constructor(root) {
+    this.root = root;
+    // путь раскрытого кластера → уровень его подкластеров
+    this.levels = new Map();
+  }
+  
+  /**
+   * Уровень подкластеров узла path ('' — корень)
+   */
+  getLevel(path) {
+    return path === '' ? this.root : this.levels.get(path) || null;
+  }
+  
+  /**
+   * Сохраняет уровень подкластеров узла; прежние потомки узла устаревают
+   */
+  setLevel(path, level) {
+    for (const key of [...this.levels.keys()]) {
+      if (key === path || key.startsWith(path + PATH_SEPARATOR)) this.levels.delete(key);
+    }
+    this.levels.set(path, level);
+  }
+  
+  /**
+   * Находит кластер по пути
+   * @returns {{path: string, cluster: object, level: object, isMember: Function}|{error: string}}
+   *   level — уровень, которому принадлежит кластер; isMember — проверка по level.records.clusterIds
+   */
+  resolve(id) {
+    const segments = parseClusterPath(id);
+    if (segments.length === 0) {
+      return { error: `Invalid cluster ID: ${id}` };
+    }
+    
+    let level = this.root;
+    let path = '';
+    let cluster = null;
+    
+    for (const segment of segments) {
+      if (path) {
+        level = this.levels.get(path);
+        if (!level) {
+          return { error: `Cluster ${path} has not been drilled into. Run log_cluster_drill on it first.` };
+        }
+      }
+      cluster = level.clusterer.getCluster(segment);
+      path = path ? `${path}${PATH_SEPARATOR}${segment}` : segment;
+      if (!cluster) {
+        return { error: `Cluster ${path} not found. Run log_cluster first.` };
+      }
+    }
+    
+    return { path, cluster, level, isMember: clusterMembership(level.clusterer, cluster) };
+  }
+  
+  /**
+   * Дерево раскрытых узлов с количествами
+   */
+  toJSON() {
+    const build = (level, prefix) => level.clusterer.getStats().map(c => {
+      const path = prefix ? `${prefix}${PATH_SEPARATOR}${c.id}` : c.id;
+      const child = this.levels.get(path);
+      return {
+        id: path,
+        // Уровни, построенные по выборке записей, считают каждую запись за weight
+        count: c.count * (level.weight || 1),
+        percent: c.percent + '%',
+        template: c.template,
+        children: child ? build(child, path) : undefined
+      };
+    });
+    return build(this.root, '');
+  }
+}
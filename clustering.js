@@ -5,11 +5,84 @@
  */
 
 /**
- * Токенизатор
+ * Встроенные правила маскирования переменных (порядок важен: URL раньше пути и IP,
+ * UUID раньше hex, длительность раньше числа)
+ */
+export const DEFAULT_MASK_RULES = [
+  { name: 'URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]+/gi },
+  { name: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { name: 'TIMESTAMP', pattern: /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g },
+  { name: 'UUID', pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi },
+  { name: 'IP', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}(?::\d{1,5})?\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+  { name: 'PATH', pattern: /(?<![\w.\/])(?:\/[\w.@-]+){2,}\/?/g },
+  { name: 'HEX', pattern: /\b0x[0-9a-f]+\b|\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi },
+  { name: 'DURATION', pattern: /\b\d+(?:\.\d+)?\s?(?:ns|us|µs|ms|s|sec|min|m|h)\b/g },
+  { name: 'NUM', pattern: /(?<![\w.])-?\d+(?:\.\d+)?\b/g }
+];
+
+let maskRules = DEFAULT_MASK_RULES;
+
+/**
+ * Собирает правила маскирования из конфигурации пользователя
+ *
+ * Пользовательские правила применяются раньше встроенных; правило с именем
+ * встроенного заменяет его, disable отключает встроенные правила по имени.
+ *
+ * @param {{masks?: Array<{name: string, pattern: string, flags?: string}>, disable?: string[]}} config
+ * @returns {Array<{name: string, pattern: RegExp}>}
+ */
+export function compileMaskRules(config = {}) {
+  const custom = (config.masks || []).map(({ name, pattern, flags = '' }) => {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name || '')) {
+      throw new Error(`Invalid mask name: ${name} (use UPPER_CASE)`);
+    }
+    return { name, pattern: new RegExp(pattern, flags.includes('g') ? flags : flags + 'g') };
+  });
+  const skip = new Set([...(config.disable || []), ...custom.map(r => r.name)]);
+  return [...custom, ...DEFAULT_MASK_RULES.filter(r => !skip.has(r.name))];
+}
+
+/**
+ * Устанавливает правила маскирования для всех кластеризаторов
+ */
+export function setMaskRules(rules) {
+  maskRules = rules;
+}
+
+/**
+ * Текущие правила маскирования (передаются в воркеры параллельного прохода)
+ */
+export function getMaskRules() {
+  return maskRules;
+}
+
+/**
+ * Подпись текущих правил — часть ключа кэша кластеризации
+ */
+export function maskSignature() {
+  return maskRules.map(r => `${r.name}=${r.pattern.source}/${r.pattern.flags}`).join('|');
+}
+
+/**
+ * Заменяет переменные части строки типизированными слотами:
+ * "id=42 from 10.0.0.1" → "id=<NUM> from <IP>"
+ */
+export function maskVariables(line, rules = maskRules) {
+  let masked = line;
+  for (const { name, pattern } of rules) {
+    masked = masked.replace(pattern, `<${name}>`);
+  }
+  return masked;
+}
+
+/**
+ * Токенизатор. Слот маскирования (<NUM>, <IP>) — один токен, как и в drain.js:
+ * иначе LCS может оставить имя слота без скобок. \x00 (граница статических частей
+ * в mergeWithTemplate) — тоже отдельный токен, чтобы не слипаться с пунктуацией
  */
 export function tokenize(str) {
   const tokens = [];
-  const regex = /(\s+|[^\s\w]+|[\w]+)/g;
+  const regex = /(<[A-Z][A-Z0-9_]*>|\x00|\s+|(?:(?!<[A-Z][A-Z0-9_]*>)[^\s\w\x00])+|[\w]+)/g;
   let match;
   
   while ((match = regex.exec(str)) !== null) {
@@ -83,9 +156,11 @@ function findMatchingTokenBlocks(tokensA, tokensB) {
 }
 
 /**
- * Извлекает шаблон из двух строк
+ * Извлекает шаблон из двух строк (переменные части маскируются заранее)
  */
-export function extractTemplate(a, b) {
+export function extractTemplate(rawA, rawB) {
+  const a = maskVariables(rawA);
+  const b = maskVariables(rawB);
   const tokensA = tokenize(a);
   const tokensB = tokenize(b);
   const blocks = findMatchingTokenBlocks(tokensA, tokensB);
@@ -163,24 +238,180 @@ export function mergeWithTemplate(tmpl, newStr) {
   };
 }
 
+// ID корзины, в которую складываются вытесненные кластеры
+export const OTHER_CLUSTER_ID = 'other';
+
+/**
+ * Стабильный ID кластера — хэш шаблона (FNV-1a, 8 hex-символов).
+ * Не зависит от порядка создания кластеров и параметров вызова, пока шаблон тот же.
+ */
+export function templateId(template) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < template.length; i++) {
+    hash ^= template.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Учитывает время записи в границах кластера: хранятся только первое и последнее
+ * время (epoch ms), а не массив — память не растёт с числом строк
+ * @param {object} cluster - кластер с полями firstSeen/lastSeen
+ * @param {Date|number} ts
+ */
+export function seeTimestamp(cluster, ts) {
+  const time = +ts;
+  if (isNaN(time)) return;
+  if (cluster.firstSeen === null || time < cluster.firstSeen) cluster.firstSeen = time;
+  if (cluster.lastSeen === null || time > cluster.lastSeen) cluster.lastSeen = time;
+}
+
+/**
+ * Добавляет к кластеру количество, примеры и границы времени другого кластера
+ */
+export function absorbStats(target, cluster) {
+  target.count += cluster.count;
+  for (const example of cluster.examples) {
+    if (target.examples.length >= target.maxExamples) break;
+    target.examples.push(example);
+  }
+  if (cluster.firstSeen !== null) seeTimestamp(target, cluster.firstSeen);
+  if (cluster.lastSeen !== null) seeTimestamp(target, cluster.lastSeen);
+}
+
+/**
+ * Корзина "other": строки вытесненных кластеров не теряются, а учитываются здесь
+ */
+export class OtherBucket {
+  constructor() {
+    this.id = OTHER_CLUSTER_ID;
+    this.template = null;
+    this.count = 0;
+    this.evicted = 0;
+    this.examples = [];
+    this.maxExamples = 5;
+    this.firstSeen = null;
+    this.lastSeen = null;
+  }
+  
+  get stableId() {
+    return OTHER_CLUSTER_ID;
+  }
+  
+  /**
+   * Принимает вытесненный кластер или корзину "other" частичного результата
+   */
+  absorb(cluster) {
+    this.evicted += cluster instanceof OtherBucket ? cluster.evicted : 1;
+    absorbStats(this, cluster);
+  }
+  
+  addTimestamp(ts) {
+    seeTimestamp(this, ts);
+  }
+  
+  toJSON() {
+    return {
+      id: OTHER_CLUSTER_ID,
+      count: this.count,
+      template: null,
+      evicted_clusters: this.evicted,
+      examples: this.examples
+    };
+  }
+  
+  serialize() {
+    return { count: this.count, evicted: this.evicted, examples: this.examples, firstSeen: this.firstSeen, lastSeen: this.lastSeen };
+  }
+  
+  static deserialize(state) {
+    const bucket = new OtherBucket();
+    if (state) {
+      bucket.count = state.count;
+      bucket.evicted = state.evicted;
+      bucket.examples = state.examples;
+      bucket.firstSeen = state.firstSeen ?? null;
+      bucket.lastSeen = state.lastSeen ?? null;
+    }
+    return bucket;
+  }
+}
+
+/**
+ * Проверка принадлежности записи кластеру по внутреннему ID, назначенному
+ * при основном проходе. Вытесненные ID относятся к "other"; кластеры
+ * с одинаковым шаблоном (один стабильный ID) считаются одним.
+ *
+ * @param {LogClusterer|object} clusterer
+ * @param {object} cluster - результат clusterer.getCluster()
+ * @returns {(internalId: number) => boolean}
+ */
+export function clusterMembership(clusterer, cluster) {
+  if (cluster.stableId === OTHER_CLUSTER_ID) {
+    const alive = new Set(clusterer.clusters.map(c => c.id));
+    return id => !alive.has(id);
+  }
+  const ids = new Set(clusterer.clusters.filter(c => c.stableId === cluster.stableId).map(c => c.id));
+  return id => ids.has(id);
+}
+
+/**
+ * Кластеры по стабильному ID: шаблоны двух кластеров могут совпасть после
+ * обобщения, и тогда у них один ID. Как и в clusterMembership, такие кластеры
+ * считаются одним — вместо них отдаётся копия первого со сложенной статистикой
+ */
+export function mergeSameTemplate(clusters) {
+  const byId = new Map();
+  const copies = new Set();
+  for (const cluster of clusters) {
+    const id = cluster.stableId;
+    let same = byId.get(id);
+    if (!same) {
+      byId.set(id, cluster);
+      continue;
+    }
+    if (!copies.has(same)) {
+      // Копия того же класса: шаблон, stableId и toJSON остаются, исходные кластеры не меняются
+      same = Object.assign(Object.create(Object.getPrototypeOf(same)), same, { examples: [...same.examples] });
+      copies.add(same);
+      byId.set(id, same);
+    }
+    absorbStats(same, cluster);
+  }
+  return [...byId.values()];
+}
+
 /**
  * Кластер логов
  */
 export class LogCluster {
-  constructor(id, firstLine) {
+  /**
+   * @param {number} id
+   * @param {string} firstLine - строка (ключ записи), по которой строится шаблон
+   * @param {string} example - полный текст для examples (например, весь stack trace)
+   */
+  constructor(id, firstLine, example = firstLine) {
+    const masked = maskVariables(firstLine);
     this.id = id;
-    this.template = firstLine;
-    this.staticParts = [firstLine];
+    this.template = masked;
+    this.staticParts = [masked];
     this.count = 1;
-    this.examples = [firstLine];
+    this.examples = [example];
     this.maxExamples = 5;
-    this.timestamps = []; // Для временной статистики
+    // Границы времени; ряды по времени строятся по записям результата
+    this.firstSeen = null;
+    this.lastSeen = null;
   }
   
-  tryAdd(line, threshold = 0.4) {
+  tryAdd(line, threshold = 0.4, example = line) {
+    return this._tryAddMasked(maskVariables(line), threshold, example);
+  }
+  
+  _tryAddMasked(masked, threshold, example) {
     const result = mergeWithTemplate(
       { template: this.template, staticParts: this.staticParts },
-      line
+      masked
     );
     
     if (result.similarity >= threshold) {
@@ -189,7 +420,7 @@ export class LogCluster {
       this.count++;
       
       if (this.examples.length < this.maxExamples) {
-        this.examples.push(line);
+        this.examples.push(example);
       }
       return true;
     }
@@ -197,25 +428,72 @@ export class LogCluster {
   }
   
   similarity(line) {
+    return this._similarityMasked(maskVariables(line));
+  }
+  
+  /**
+   * Вливает похожий кластер частичного результата: шаблоны объединяются,
+   * количества и примеры складываются
+   */
+  absorb(cluster) {
     const result = mergeWithTemplate(
       { template: this.template, staticParts: this.staticParts },
-      line
+      cluster.template
+    );
+    this.template = result.template;
+    this.staticParts = result.staticParts;
+    absorbStats(this, cluster);
+  }
+  
+  _similarityMasked(masked) {
+    const result = mergeWithTemplate(
+      { template: this.template, staticParts: this.staticParts },
+      masked
     );
     return result.similarity;
   }
   
+  get stableId() {
+    return templateId(this.template);
+  }
+  
   addTimestamp(ts) {
-    this.timestamps.push(ts);
+    seeTimestamp(this, ts);
   }
   
   toJSON() {
     return {
-      id: this.id,
+      id: this.stableId,
       count: this.count,
       template: this.template,
       examples: this.examples
     };
   }
+  
+  /**
+   * Состояние кластера для сохранения в индекс
+   */
+  serialize() {
+    return {
+      id: this.id,
+      template: this.template,
+      staticParts: this.staticParts,
+      count: this.count,
+      examples: this.examples,
+      firstSeen: this.firstSeen,
+      lastSeen: this.lastSeen
+    };
+  }
+  
+  static deserialize(state) {
+    const cluster = new LogCluster(state.id, state.template);
+    cluster.staticParts = state.staticParts;
+    cluster.count = state.count;
+    cluster.examples = state.examples;
+    cluster.firstSeen = state.firstSeen ?? null;
+    cluster.lastSeen = state.lastSeen ?? null;
+    return cluster;
+  }
 }
 
 /**
@@ -226,39 +504,83 @@ export class LogClusterer {
     this.threshold = options.threshold || 0.4;
     this.maxClusters = options.maxClusters || 10;
     this.clusters = [];
+    this.other = new OtherBucket();
     this.nextId = 0;
   }
   
-  add(line, timestamp = null) {
+  /**
+   * Самый похожий кластер не ниже порога или null
+   */
+  _bestMatch(masked) {
     let bestCluster = null;
     let bestSimilarity = 0;
     
     for (const cluster of this.clusters) {
-      const sim = cluster.similarity(line);
+      const sim = cluster._similarityMasked(masked);
       if (sim > bestSimilarity && sim >= this.threshold) {
         bestSimilarity = sim;
         bestCluster = cluster;
       }
     }
+    return bestCluster;
+  }
+  
+  add(line, timestamp = null, example = line) {
+    // Маскируем один раз на строку, а не при каждом сравнении с кластером
+    const masked = maskVariables(line);
+    const bestCluster = this._bestMatch(masked);
     
     if (bestCluster) {
-      bestCluster.tryAdd(line, this.threshold);
+      bestCluster._tryAddMasked(masked, this.threshold, example);
       if (timestamp) bestCluster.addTimestamp(timestamp);
       return bestCluster.id;
     }
     
-    const newCluster = new LogCluster(this.nextId++, line);
+    const newCluster = new LogCluster(this.nextId++, masked, example);
     if (timestamp) newCluster.addTimestamp(timestamp);
     
     if (this.clusters.length >= this.maxClusters) {
-      this._mergeMostSimilar();
+      this._evictSmallest();
     }
     
     this.clusters.push(newCluster);
     return newCluster.id;
   }
   
-  _mergeMostSimilar() {
+  /**
+   * Кластер, к которому отнеслась бы строка, — без изменения кластеров;
+   * для записей, не попавших в хранимую выборку
+   */
+  match(line) {
+    return this._bestMatch(maskVariables(line)) || this.other;
+  }
+  
+  /**
+   * Вливает кластер частичного результата (параллельный проход) в самый похожий
+   * кластер не ниже порога или добавляет его новым; лимит кластеров после
+   * слияния всех частей применяет evictOverflow()
+   * @returns {number} внутренний ID кластера, принявшего записи
+   */
+  mergeCluster(cluster) {
+    const best = this._bestMatch(cluster.template);
+    if (best) {
+      best.absorb(cluster);
+      return best.id;
+    }
+    const merged = LogCluster.deserialize({ ...cluster.serialize(), id: this.nextId++ });
+    merged.examples = [...cluster.examples];
+    this.clusters.push(merged);
+    return merged.id;
+  }
+  
+  evictOverflow() {
+    while (this.clusters.length > this.maxClusters) this._evictSmallest();
+  }
+  
+  /**
+   * Вытесняет самый маленький кластер в корзину "other"
+   */
+  _evictSmallest() {
     let minCount = Infinity;
     let minIdx = 0;
     
@@ -269,21 +591,65 @@ export class LogClusterer {
       }
     }
     
-    this.clusters.splice(minIdx, 1);
+    const [evicted] = this.clusters.splice(minIdx, 1);
+    this.other.absorb(evicted);
   }
   
+  /**
+   * Кластер по стабильному ID (хэш шаблона) или "other"
+   */
   getCluster(id) {
-    return this.clusters.find(c => c.id === id);
+    if (id === OTHER_CLUSTER_ID) return this.other;
+    return mergeSameTemplate(this.clusters).find(c => c.stableId === String(id));
+  }
+  
+  /**
+   * Кластер, к которому сейчас относится внутренний ID из прохода
+   */
+  resolve(internalId) {
+    return this.clusters.find(c => c.id === internalId) || this.other;
+  }
+  
+  /**
+   * Состояние кластеризатора для сохранения в индекс
+   */
+  serialize() {
+    return {
+      engine: 'lcs',
+      threshold: this.threshold,
+      maxClusters: this.maxClusters,
+      nextId: this.nextId,
+      clusters: this.clusters.map(c => c.serialize()),
+      other: this.other.serialize()
+    };
   }
   
+  static deserialize(state) {
+    const clusterer = new LogClusterer({
+      threshold: state.threshold,
+      maxClusters: state.maxClusters
+    });
+    clusterer.nextId = state.nextId;
+    clusterer.clusters = state.clusters.map(c => LogCluster.deserialize(c));
+    clusterer.other = OtherBucket.deserialize(state.other);
+    return clusterer;
+  }
+  
+  /**
+   * Статистика кластеров по убыванию размера; "other" — последним, если не пуст.
+   * Кластеры с одинаковым шаблоном сведены в один (mergeSameTemplate)
+   */
   getStats() {
-    const total = this.clusters.reduce((sum, c) => sum + c.count, 0);
+    const total = this.clusters.reduce((sum, c) => sum + c.count, 0) + this.other.count;
+    const percent = count => (total > 0 ? ((count / total) * 100).toFixed(1) : '0');
     
-    return this.clusters
-      .map(c => ({
-        ...c.toJSON(),
-        percent: total > 0 ? ((c.count / total) * 100).toFixed(1) : '0'
-      }))
+    const stats = mergeSameTemplate(this.clusters)
+      .map(c => ({ ...c.toJSON(), percent: percent(c.count) }))
       .sort((a, b) => b.count - a.count);
+    
+    if (this.other.count > 0) {
+      stats.push({ ...this.other.toJSON(), percent: percent(this.other.count) });
+    }
+    return stats;
   }
 }
@@ -0,0 +1,67 @@
+/**
+ * Correlation Module
+ *
+ * Корреляция временных рядов кластеров со сдвигом: какие кластеры растут
+ * раньше целевого (возможная причина), одновременно с ним или позже (следствие)
+ */
+
+/**
+ * Коэффициент корреляции Пирсона рядов a[from..from+n) и b[offset..offset+n)
+ * @returns {number|null} null — один из рядов постоянен
+ */
+function pearson(a, b, from, offset, n) {
+  let sumA = 0;
+  let sumB = 0;
+  for (let i = 0; i < n; i++) {
+    sumA += a[from + i];
+    sumB += b[offset + i];
+  }
+  const meanA = sumA / n;
+  const meanB = sumB / n;
+  
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[from + i] - meanA;
+    const db = b[offset + i] - meanB;
+    cov += da * db;
+    varA += da * da;
+    varB += db * db;
+  }
+  if (varA === 0 || varB === 0) return null;
+  return cov / Math.sqrt(varA * varB);
+}
+
+/**
+ * Корреляция other с target при сдвиге lag: other[i] сопоставляется с target[i + lag],
+ * т.е. положительный lag — other опережает target на lag bucket'ов
+ * @returns {number|null}
+ */
+export function correlationAtLag(target, other, lag, minOverlap = 3) {
+  const n = target.length - Math.abs(lag);
+  if (n < minOverlap) return null;
+  return lag >= 0
+    ? pearson(other, target, 0, lag, n)
+    : pearson(other, target, -lag, 0, n);
+}
+
+/**
+ * Сдвиг с наибольшей корреляцией в пределах [-maxLag, maxLag]
+ *
+ * Сдвиги перебираются от нуля наружу, поэтому при равной корреляции
+ * выбирается меньший по модулю.
+ *
+ * @returns {{lag: number, correlation: number}|null}
+ */
+export function bestLag(target, other, maxLag) {
+  let best = null;
+  for (let step = 0; step <= maxLag; step++) {
+    for (const lag of step === 0 ? [0] : [step, -step]) {
+      const correlation = correlationAtLag(target, other, lag);
+      if (correlation === null) continue;
+      if (!best || correlation > best.correlation) best = { lag, correlation };
+    }
+  }
+  return best;
+}
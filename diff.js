@@ -0,0 +1,150 @@
+/**
+ * Cluster Diff Module
+ *
+ * Сравнение двух наборов кластеров (два файла или два окна времени):
+ * новые, исчезнувшие и изменившие частоту шаблоны
+ */
+
+import { extractTemplate, OTHER_CLUSTER_ID } from './clustering.js';
+
+// Минимальная похожесть шаблонов, чтобы считать их одним кластером при разных ID
+const MATCH_SIMILARITY = 0.7;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Сопоставляет кластеры двух сторон: сначала по стабильному ID (тот же шаблон),
+ * затем оставшиеся — по похожести шаблонов (жадно, лучшие пары первыми)
+ *
+ * @returns {{pairs: Array<[object, object]>, onlyBaseline: object[], onlyCompare: object[]}}
+ */
+export function matchClusters(baselineClusters, compareClusters) {
+  const pairs = [];
+  const restBaseline = new Map(baselineClusters.map(c => [c.id, c]));
+  const restCompare = [];
+  
+  for (const cluster of compareClusters) {
+    const same = restBaseline.get(cluster.id);
+    if (same) {
+      pairs.push([same, cluster]);
+      restBaseline.delete(cluster.id);
+    } else {
+      restCompare.push(cluster);
+    }
+  }
+  
+  const candidates = [];
+  for (const b of restCompare) {
+    for (const a of restBaseline.values()) {
+      const { similarity } = extractTemplate(a.template, b.template);
+      if (similarity >= MATCH_SIMILARITY) candidates.push({ a, b, similarity });
+    }
+  }
+  candidates.sort((x, y) => y.similarity - x.similarity);
+  
+  const matchedCompare = new Set();
+  for (const { a, b } of candidates) {
+    if (!restBaseline.has(a.id) || matchedCompare.has(b)) continue;
+    pairs.push([a, b]);
+    restBaseline.delete(a.id);
+    matchedCompare.add(b);
+  }
+  
+  return {
+    pairs,
+    onlyBaseline: [...restBaseline.values()],
+    onlyCompare: restCompare.filter(b => !matchedCompare.has(b))
+  };
+}
+
+/**
+ * Единица частоты: записей в час, если у обеих сторон известна длительность,
+ * иначе доля записей стороны
+ */
+function rateFunction(baseline, compare) {
+  if (baseline.durationMs > 0 && compare.durationMs > 0) {
+    return {
+      unit: 'per_hour',
+      rate: (side, count) => count / (side.durationMs / HOUR_MS)
+    };
+  }
+  return {
+    unit: 'share',
+    rate: (side, count) => (side.total > 0 ? count / side.total : 0)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Сравнивает две стороны
+ *
+ * @param {{total: number, durationMs: number, clusters: Array<{id, template, count, examples}>}} baseline
+ * @param {{total: number, durationMs: number, clusters: Array<{id, template, count, examples}>}} compare
+ * @param {{changeRatio?: number, minCount?: number, top?: number}} options
+ */
+export function diffClusterSets(baseline, compare, options = {}) {
+  const { changeRatio = 2, minCount = 5, top = 10 } = options;
+  const { unit, rate } = rateFunction(baseline, compare);
+  
+  // Корзина "other" не имеет шаблона и не сравнивается
+  const withTemplate = clusters => clusters.filter(c => c.id !== OTHER_CLUSTER_ID && c.count > 0);
+  const { pairs, onlyBaseline, onlyCompare } = matchClusters(
+    withTemplate(baseline.clusters),
+    withTemplate(compare.clusters)
+  );
+  
+  const describe = (side, c) => ({
+    id: c.id,
+    template: c.template,
+    count: c.count,
+    rate: round(rate(side, c.count)),
+    examples: c.examples.slice(0, 2)
+  });
+  
+  const changed = [];
+  let unchanged = 0;
+  for (const [a, b] of pairs) {
+    const rateA = rate(baseline, a.count);
+    const rateB = rate(compare, b.count);
+    const ratio = rateA > 0 ? rateB / rateA : Infinity;
+    const significant = Math.max(a.count, b.count) >= minCount &&
+      (ratio >= changeRatio || ratio <= 1 / changeRatio);
+    
+    if (!significant) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      id: b.id,
+      baseline_id: a.id !== b.id ? a.id : undefined,
+      template: b.template,
+      direction: ratio > 1 ? 'up' : 'down',
+      ratio: round(ratio),
+      baseline_count: a.count,
+      compare_count: b.count,
+      baseline_rate: round(rateA),
+      compare_rate: round(rateB),
+      examples: (b.examples.length > 0 ? b.examples : a.examples).slice(0, 2)
+    });
+  }
+  
+  // Сильнее всего изменившиеся — первыми, в обе стороны
+  changed.sort((x, y) => Math.abs(Math.log(y.ratio)) - Math.abs(Math.log(x.ratio)));
+  const bySize = list => list.sort((x, y) => y.count - x.count);
+  
+  return {
+    rate_unit: unit,
+    summary: {
+      new: onlyCompare.length,
+      vanished: onlyBaseline.length,
+      changed: changed.length,
+      unchanged
+    },
+    new: bySize(onlyCompare.map(c => describe(compare, c))).slice(0, top),
+    vanished: bySize(onlyBaseline.map(c => describe(baseline, c))).slice(0, top),
+    changed: changed.slice(0, top)
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * Drain Clustering Module
+ *
+ * Кластеризация по дереву фиксированной глубины (Drain, He et al. 2017):
+ * строка спускается по длине и первым токенам к листу и сравнивается
+ * только с группами этого листа — O(длина строки) вместо O(m×n) LCS.
+ */
+
+import { maskVariables, templateId, seeTimestamp, absorbStats, mergeSameTemplate, OtherBucket, OTHER_CLUSTER_ID } from './clustering.js';
+
+const WILDCARD = '<*>';
+
+/**
+ * Токенизация Drain: по пробельным символам после маскирования переменных
+ */
+function splitTokens(line) {
+  const trimmed = maskVariables(line).trim();
+  return trimmed ? trimmed.split(/\s+/) : [];
+}
+
+function hasDigits(token) {
+  return /\d/.test(token);
+}
+
+/**
+ * Доля совпавших позиций (wildcard-позиции шаблона не считаются совпадением)
+ */
+function sequenceSimilarity(templateTokens, tokens) {
+  if (templateTokens.length !== tokens.length) return { similarity: 0, params: 0 };
+  if (tokens.length === 0) return { similarity: 1, params: 0 };
+  
+  let equal = 0;
+  let params = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    if (templateTokens[i] === WILDCARD) params++;
+    else if (templateTokens[i] === tokens[i]) equal++;
+  }
+  return { similarity: equal / tokens.length, params };
+}
+
+/**
+ * Группа логов Drain — тот же интерфейс, что у LogCluster
+ */
+export class DrainCluster {
+  constructor(id, tokens, example) {
+    this.id = id;
+    this.tokens = tokens;
+    this.count = 1;
+    this.examples = [example];
+    this.maxExamples = 5;
+    this.firstSeen = null;
+    this.lastSeen = null;
+    this.route = [];
+  }
+  
+  get template() {
+    return this.tokens.map(t => (t === WILDCARD ? '.*' : t)).join(' ');
+  }
+  
+  get stableId() {
+    return templateId(this.template);
+  }
+  
+  merge(tokens, example) {
+    this.tokens = this.tokens.map((t, i) => (t === tokens[i] ? t : WILDCARD));
+    this.count++;
+    if (this.examples.length < this.maxExamples) {
+      this.examples.push(example);
+    }
+  }
+  
+  /**
+   * Вливает группу частичного результата той же длины
+   */
+  absorb(cluster) {
+    this.tokens = this.tokens.map((t, i) => (t === cluster.tokens[i] ? t : WILDCARD));
+    absorbStats(this, cluster);
+  }
+  
+  similarity(line) {
+    return sequenceSimilarity(this.tokens, splitTokens(line)).similarity;
+  }
+  
+  addTimestamp(ts) {
+    seeTimestamp(this, ts);
+  }
+  
+  toJSON() {
+    return {
+      id: this.stableId,
+      count: this.count,
+      template: this.template,
+      examples: this.examples
+    };
+  }
+  
+  serialize() {
+    return {
+      id: this.id,
+      tokens: this.tokens,
+      count: this.count,
+      examples: this.examples,
+      firstSeen: this.firstSeen,
+      lastSeen: this.lastSeen,
+      route: this.route
+    };
+  }
+}
+
+/**
+ * Кластеризатор Drain — тот же интерфейс, что у LogClusterer
+ *
+ * Дерево: корень → длина строки → первые (depth - 2) токенов → лист с группами.
+ * Токены с цифрами и переполнение maxChildren ведут в ветку WILDCARD.
+ */
+export class DrainClusterer {
+  constructor(options = {}) {
+    this.threshold = options.threshold || 0.4;
+    this.maxClusters = options.maxClusters || 10;
+    this.depth = options.depth || 4;
+    this.maxChildren = options.maxChildren || 100;
+    this.clusters = [];
+    this.other = new OtherBucket();
+    this.nextId = 0;
+    this.root = { children: new Map(), groups: [] };
+  }
+  
+  _routeKey(node, token, create) {
+    if (node.children.has(token)) return token;
+    if (!create) return WILDCARD;
+    if (hasDigits(token)) return WILDCARD;
+    // Один слот оставляем под WILDCARD
+    return node.children.size < this.maxChildren - 1 ? token : WILDCARD;
+  }
+  
+  /**
+   * Спуск к листу; при create=true недостающие узлы создаются
+   */
+  _descend(tokens, create) {
+    const route = [String(tokens.length)];
+    let node = this.root.children.get(route[0]);
+    if (!node) {
+      if (!create) return null;
+      node = { children: new Map(), groups: [] };
+      this.root.children.set(route[0], node);
+    }
+    
+    const levels = Math.min(this.depth - 2, tokens.length);
+    for (let i = 0; i < levels; i++) {
+      const key = this._routeKey(node, tokens[i], create);
+      let next = node.children.get(key);
+      if (!next) {
+        if (!create) return null;
+        next = { children: new Map(), groups: [] };
+        node.children.set(key, next);
+      }
+      route.push(key);
+      node = next;
+    }
+    
+    return { leaf: node, route };
+  }
+  
+  _attach(cluster, route) {
+    let node = this.root;
+    for (const key of route) {
+      if (!node.children.has(key)) {
+        node.children.set(key, { children: new Map(), groups: [] });
+      }
+      node = node.children.get(key);
+    }
+    node.groups.push(cluster);
+    cluster.route = route;
+    cluster.leaf = node;
+  }
+  
+  /**
+   * Лучшая группа листа строки не ниже порога или null
+   */
+  _bestMatch(tokens) {
+    const found = this._descend(tokens, false);
+    
+    let best = null;
+    let bestScore = { similarity: -1, params: -1 };
+    for (const cluster of found ? found.leaf.groups : []) {
+      const score = sequenceSimilarity(cluster.tokens, tokens);
+      if (score.similarity > bestScore.similarity ||
+          (score.similarity === bestScore.similarity && score.params > bestScore.params)) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+    return best && bestScore.similarity >= this.threshold ? best : null;
+  }
+  
+  add(line, timestamp = null, example = line) {
+    const tokens = splitTokens(line);
+    const best = this._bestMatch(tokens);
+    
+    if (best) {
+      best.merge(tokens, example);
+      if (timestamp) best.addTimestamp(timestamp);
+      return best.id;
+    }
+    
+    const newCluster = new DrainCluster(this.nextId++, tokens, example);
+    if (timestamp) newCluster.addTimestamp(timestamp);
+    
+    if (this.clusters.length >= this.maxClusters) {
+      this._evictSmallest();
+    }
+    
+    this._attach(newCluster, this._descend(tokens, true).route);
+    this.clusters.push(newCluster);
+    return newCluster.id;
+  }
+  
+  /**
+   * Группа, к которой отнеслась бы строка, — без изменения дерева
+   */
+  match(line) {
+    return this._bestMatch(splitTokens(line)) || this.other;
+  }
+  
+  /**
+   * Вливает группу частичного результата (см. LogClusterer.mergeCluster)
+   * @returns {number} внутренний ID группы, принявшей записи
+   */
+  mergeCluster(cluster) {
+    const best = this._bestMatch(cluster.tokens);
+    if (best) {
+      best.absorb(cluster);
+      return best.id;
+    }
+    const merged = new DrainCluster(this.nextId++, cluster.tokens, cluster.examples[0]);
+    merged.count = cluster.count;
+    merged.examples = [...cluster.examples];
+    merged.firstSeen = cluster.firstSeen;
+    merged.lastSeen = cluster.lastSeen;
+    this._attach(merged, this._descend(cluster.tokens, true).route);
+    this.clusters.push(merged);
+    return merged.id;
+  }
+  
+  evictOverflow() {
+    while (this.clusters.length > this.maxClusters) this._evictSmallest();
+  }
+  
+  _evictSmallest() {
+    let minIdx = 0;
+    for (let i = 1; i < this.clusters.length; i++) {
+      if (this.clusters[i].count < this.clusters[minIdx].count) minIdx = i;
+    }
+    const [evicted] = this.clusters.splice(minIdx, 1);
+    evicted.leaf.groups.splice(evicted.leaf.groups.indexOf(evicted), 1);
+    this.other.absorb(evicted);
+  }
+  
+  getCluster(id) {
+    if (id === OTHER_CLUSTER_ID) return this.other;
+    return mergeSameTemplate(this.clusters).find(c => c.stableId === String(id));
+  }
+  
+  resolve(internalId) {
+    return this.clusters.find(c => c.id === internalId) || this.other;
+  }
+  
+  serialize() {
+    return {
+      engine: 'drain',
+      threshold: this.threshold,
+      maxClusters: this.maxClusters,
+      depth: this.depth,
+      maxChildren: this.maxChildren,
+      nextId: this.nextId,
+      clusters: this.clusters.map(c => c.serialize()),
+      other: this.other.serialize()
+    };
+  }
+  
+  static deserialize(state) {
+    const clusterer = new DrainClusterer(state);
+    clusterer.nextId = state.nextId;
+    for (const c of state.clusters) {
+      const cluster = new DrainCluster(c.id, c.tokens, c.examples[0]);
+      cluster.count = c.count;
+      cluster.examples = c.examples;
+      cluster.firstSeen = c.firstSeen ?? null;
+      cluster.lastSeen = c.lastSeen ?? null;
+      clusterer._attach(cluster, c.route);
+      clusterer.clusters.push(cluster);
+    }
+    clusterer.other = OtherBucket.deserialize(state.other);
+    return clusterer;
+  }
+  
+  getStats() {
+    const total = this.clusters.reduce((sum, c) => sum + c.count, 0) + this.other.count;
+    const percent = count => (total > 0 ? ((count / total) * 100).toFixed(1) : '0');
+    
+    const stats = mergeSameTemplate(this.clusters)
+      .map(c => ({ ...c.toJSON(), percent: percent(c.count) }))
+      .sort((a, b) => b.count - a.count);
+    
+    if (this.other.count > 0) {
+      stats.push({ ...this.other.toJSON(), percent: percent(this.other.count) });
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Structured Formats Module
+ *
+ * Определение формата строк (text / JSON / logfmt), разбор полей
+ * и фильтры по полям вида "level=ERROR service=payments"
+ */
+
+import { parseTimestampValue, extractTimestamp } from './timestamps.js';
+import { RECORD_KEY_LINES } from './records.js';
+import { LEVEL_FIELDS, recordLevel } from './levels.js';
+
+// Поля, из которых берётся сообщение для кластеризации (по приоритету)
+const MESSAGE_FIELDS = ['msg', 'message', 'log', 'event', 'text'];
+
+// Поля, в которых обычно лежит время
+const TIMESTAMP_FIELDS = ['ts', 'time', 'timestamp', '@timestamp', 't', 'date', 'datetime'];
+
+/**
+ * Разворачивает вложенные объекты в плоские ключи через точку
+ */
+function flattenObject(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenObject(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Разбирает строку JSON-объекта
+ * @returns {object|null} плоский объект полей
+ */
+export function parseJsonLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return null;
+  try {
+    const obj = JSON.parse(trimmed);
+    return obj !== null && typeof obj === 'object' && !Array.isArray(obj)
+      ? flattenObject(obj)
+      : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Разбирает строку logfmt: key=value key2="quoted value"
+ *
+ * Строка считается logfmt только если она целиком состоит из пар key=value
+ * и их не меньше minPairs — иначе "Processing request id=5" был бы logfmt.
+ *
+ * @param {string} line
+ * @param {number} minPairs
+ * @returns {object|null}
+ */
+export function parseLogfmtLine(line, minPairs = 2) {
+  const regex = /\s*([\w.@-]+)=("(?:[^"\\]|\\.)*"|\S*)\s*/y;
+  const fields = {};
+  let count = 0;
+  let pos = 0;
+
+  while (pos < line.length) {
+    regex.lastIndex = pos;
+    const match = regex.exec(line);
+    if (!match) return null;
+
+    let value = match[2];
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    fields[match[1]] = value;
+    count++;
+    pos = regex.lastIndex;
+  }
+
+  return count >= minPairs ? fields : null;
+}
+
+/**
+ * Определяет формат строк по выборке
+ * @param {string[]} sampleLines
+ * @returns {{name: 'json'|'logfmt'|'text', confidence: number}}
+ */
+export function detectLogFormat(sampleLines) {
+  const lines = sampleLines.filter(l => l.trim() !== '');
+  if (lines.length === 0) return { name: 'text', confidence: 0 };
+
+  const jsonCount = lines.filter(l => parseJsonLine(l) !== null).length;
+  const logfmtCount = lines.filter(l => parseLogfmtLine(l) !== null).length;
+
+  if (jsonCount / lines.length > 0.5) {
+    return { name: 'json', confidence: jsonCount / lines.length };
+  }
+  if (logfmtCount / lines.length > 0.5) {
+    return { name: 'logfmt', confidence: logfmtCount / lines.length };
+  }
+  return { name: 'text', confidence: 1 - Math.max(jsonCount, logfmtCount) / lines.length };
+}
+
+/**
+ * Разбирает строку в поля согласно формату
+ * @returns {object|null}
+ */
+export function parseFields(line, logFormat) {
+  if (logFormat === 'json') return parseJsonLine(line);
+  if (logFormat === 'logfmt') return parseLogfmtLine(line);
+  return null;
+}
+
+/**
+ * Выбирает первое из известных полей, присутствующее в выборке
+ */
+function pickField(candidates, sampleFields) {
+  for (const name of candidates) {
+    if (sampleFields.some(f => f[name] !== undefined && f[name] !== '')) return name;
+  }
+  return null;
+}
+
+/**
+ * Описание формата набора: формат строк, поля сообщения, времени и уровня
+ *
+ * @param {string[]} sampleLines
+ * @param {{timestampPattern?: object, timestampField?: string, timezone?: string}} options
+ *   timezone — пояс меток времени без смещения
+ * @returns {{logFormat: string, timestampPattern: object|null, timestampField: string|null,
+ *            messageField: string|null, levelField: string|null, fieldNames: string[], timezone: string}}
+ */
+export function describeFormat(sampleLines, options = {}) {
+  const { timestampPattern = null, timestampField = null, timezone = 'local' } = options;
+  const { name: logFormat } = detectLogFormat(sampleLines);
+
+  if (logFormat === 'text') {
+    return {
+      logFormat,
+      timestampPattern,
+      timestampField: null,
+      messageField: null,
+      levelField: null,
+      fieldNames: [],
+      timezone
+    };
+  }
+
+  const sampleFields = sampleLines.map(l => parseFields(l, logFormat)).filter(Boolean);
+  const fieldNames = [...new Set(sampleFields.flatMap(f => Object.keys(f)))];
+
+  return {
+    logFormat,
+    // Для структурированных строк время берём из поля, а не regex по всей строке
+    timestampPattern: null,
+    timestampField: timestampField || pickField(TIMESTAMP_FIELDS, sampleFields),
+    messageField: pickField(MESSAGE_FIELDS, sampleFields),
+    levelField: pickField(LEVEL_FIELDS, sampleFields),
+    fieldNames,
+    timezone
+  };
+}
+
+/**
+ * Формат потока, к которому относится источник: у набора из нескольких логов
+ * format.streams хранит формат каждого потока
+ */
+export function formatForSource(format, source) {
+  return format.streams ? format.streams[source.stream] : format;
+}
+
+/**
+ * Дополняет запись полями, ключом кластеризации, меткой времени и уровнем
+ *
+ * Для JSON/logfmt кластеризация идёт по полю сообщения, а не по всей строке;
+ * для текстовых строк время и уровень ищутся по первой строке записи.
+ * Метки без смещения читаются в поясе формата, год меток без года — от mtime файла.
+ */
+export function parseRecord(record, format) {
+  const timeOptions = { timezone: format.timezone, anchor: record.source?.mtimeMs };
+  record.fields = parseFields(record.lines[0], format.logFormat);
+  record.timestamp = format.timestampPattern
+    ? extractTimestamp(record.lines[0], format.timestampPattern, timeOptions)
+    : null;
+
+  if (record.fields) {
+    const message = format.messageField ? record.fields[format.messageField] : undefined;
+    if (message !== undefined && message !== null) {
+      const rest = record.lines.slice(1, RECORD_KEY_LINES);
+      record.key = [String(message), ...rest].join('\n');
+    }
+    if (format.timestampField && record.fields[format.timestampField] !== undefined) {
+      record.timestamp = parseTimestampValue(record.fields[format.timestampField], timeOptions);
+    }
+  }
+  record.level = recordLevel(record, format.levelField);
+
+  return record;
+}
+
+/**
+ * Разбирает фильтр по полям: "level=ERROR service=payments"
+ * @returns {Array<{key: string, value: string}>|null}
+ */
+export function parseFieldFilter(spec) {
+  if (!spec || !spec.trim()) return null;
+  const fields = parseLogfmtLine(spec.trim(), 1);
+  if (!fields) return null;
+  return Object.entries(fields).map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Проверяет поля записи на соответствие фильтру (без учёта регистра значений)
+ */
+export function matchesFieldFilter(fields, fieldFilter) {
+  if (!fieldFilter) return true;
+  if (!fields) return false;
+  return fieldFilter.every(({ key, value }) =>
+    fields[key] !== undefined && fields[key] !== null &&
+    String(fields[key]).toLowerCase() === value.toLowerCase()
+  );
+}
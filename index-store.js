@@ -0,0 +1,313 @@
+/**
+ * Index Store Module
+ *
+ * Персистентный индекс рядом с кэшем: контрольные точки байтовых смещений строк,
+ * метки времени и назначения кластеров по записям (или их выборке), состояние LogClusterer.
+ * Индекс привязан к отпечатку файлов (путь, размер, mtime, inode) и
+ * удаляется при несовпадении; результат кластеризации переживает дописывание
+ * в конец последнего файла — сервер дочитывает только новые строки.
+ */
+
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, renameSync, unlinkSync, existsSync } from 'fs';
+
+import { getTimestampPattern } from './timestamps.js';
+import { compareSources } from './sources.js';
+import { RecordStore, BYTES_PER_RECORD, maxStoredRecords } from './record-store.js';
+
+const INDEX_VERSION = 4;
+
+// Контрольная точка смещения — каждые N строк несжатого файла
+const CHECKPOINT_EVERY = 1000;
+
+/**
+ * Каталог индексов: LOG_EXPLORER_CACHE_DIR или ~/.cache/log-explorer-mcp
+ */
+export function getCacheDir() {
+  return process.env.LOG_EXPLORER_CACHE_DIR || join(homedir(), '.cache', 'log-explorer-mcp');
+}
+
+/**
+ * Индекс на диске отключается через LOG_EXPLORER_NO_INDEX=1
+ */
+function isIndexEnabled() {
+  return process.env.LOG_EXPLORER_NO_INDEX !== '1';
+}
+
+/**
+ * Отпечаток набора файлов: меняется при любом изменении содержимого или подмене файла
+ */
+export function sourceFingerprint(sources) {
+  return sources.map(s => `${s.realPath}:${s.size}:${s.mtimeMs}:${s.ino}`).join('|');
+}
+
+function hashKey(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+function indexFile(sources, suffix) {
+  return join(getCacheDir(), hashKey(sources.map(s => s.realPath).join('|')) + suffix);
+}
+
+/**
+ * Атомарная запись: пишем во временный файл и переименовываем
+ */
+function writeAtomic(path, data) {
+  mkdirSync(getCacheDir(), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, data);
+  renameSync(tmp, path);
+}
+
+function snapshotSources(sources) {
+  return sources.map(({ realPath, size, mtimeMs, ino, compressed }) => ({ realPath, size, mtimeMs, ino, compressed }));
+}
+
+function removeQuietly(...paths) {
+  for (const path of paths) {
+    try {
+      if (existsSync(path)) unlinkSync(path);
+    } catch (e) {
+      // Индекс — только оптимизация
+    }
+  }
+}
+
+/**
+ * Контрольные точки байтовых смещений строк
+ *
+ * Для каждой N-й строки несжатого файла и первой строки каждого файла
+ * запоминается {sourceIndex, offset, lineNum, fileLine} — этого достаточно,
+ * чтобы readLines начал чтение с нужного места через createReadStream({ start }).
+ */
+export class LineCheckpoints {
+  constructor(points = [], end = null) {
+    this.points = points;
+    // Позиция сразу после последней прочитанной строки — отсюда продолжается чтение при росте файла
+    this.end = end;
+  }
+  
+  observe(entry) {
+    this.end = {
+      sourceIndex: entry.sourceIndex,
+      offset: entry.nextOffset,
+      lineNum: entry.lineNum,
+      fileLine: entry.fileLine
+    };
+    
+    const isCheckpoint = entry.fileLine === 1 ||
+      (!entry.source.compressed && (entry.fileLine - 1) % CHECKPOINT_EVERY === 0);
+    if (isCheckpoint) {
+      this.points.push({
+        sourceIndex: entry.sourceIndex,
+        offset: entry.offset,
+        lineNum: entry.lineNum,
+        fileLine: entry.fileLine
+      });
+    }
+  }
+  
+  /**
+   * Пропускает строки через себя, запоминая контрольные точки
+   */
+  async* track(entries) {
+    for await (const entry of entries) {
+      this.observe(entry);
+      yield entry;
+    }
+  }
+  
+  /**
+   * Копия контрольных точек до строки position (позиция readLines): чтение
+   * продолжится с неё
+   */
+  truncate(position) {
+    return new LineCheckpoints(this.points.filter(point => point.lineNum < position.lineNum), {
+      sourceIndex: position.sourceIndex,
+      offset: position.offset,
+      lineNum: position.lineNum - 1,
+      fileLine: position.fileLine - 1
+    });
+  }
+
+  /**
+   * Позиция для readLines({ start }), с которой продолжается чтение дописанных строк
+   */
+  resumePosition() {
+    if (!this.end) return null;
+    return {
+      sourceIndex: this.end.sourceIndex,
+      offset: this.end.offset,
+      lineNum: this.end.lineNum + 1,
+      fileLine: this.end.fileLine + 1
+    };
+  }
+  
+  /**
+   * Ближайшая контрольная точка не дальше строки lineNum
+   */
+  find(lineNum) {
+    let lo = 0;
+    let hi = this.points.length - 1;
+    let best = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.points[mid].lineNum <= lineNum) {
+        best = this.points[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Загружает контрольные точки строк, если файлы не изменились или были
+ * только дописаны (смещения старой части остаются верными)
+ * @returns {LineCheckpoints|null}
+ */
+export function loadLineIndex(sources) {
+  if (!isIndexEnabled()) return null;
+  const path = indexFile(sources, '.lines.json');
+  try {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    if (data.version !== INDEX_VERSION || compareSources(data.sources, sources) === 'changed') {
+      removeQuietly(path);
+      return null;
+    }
+    return new LineCheckpoints(data.points, data.end);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveLineIndex(sources, checkpoints) {
+  if (!isIndexEnabled()) return;
+  try {
+    writeAtomic(indexFile(sources, '.lines.json'), JSON.stringify({
+      version: INDEX_VERSION,
+      sources: snapshotSources(sources),
+      points: checkpoints.points,
+      end: checkpoints.end
+    }));
+  } catch (e) {
+    console.error(`Failed to save line index: ${e.message}`);
+  }
+}
+
+function serializeFormat(format) {
+  return {
+    ...format,
+    timestampPattern: format.timestampPattern?.name || null,
+    streams: format.streams ? format.streams.map(serializeFormat) : undefined
+  };
+}
+
+function deserializeFormat(state) {
+  return {
+    ...state,
+    timestampPattern: state.timestampPattern ? getTimestampPattern(state.timestampPattern) : null,
+    streams: state.streams ? state.streams.map(deserializeFormat) : undefined
+  };
+}
+
+/**
+ * Сохраняет результат кластеризации
+ *
+ * Метаданные и состояние кластеризатора — в JSON, массивы по записям
+ * (номер строки, время, кластер, ранг уровня) — в бинарный файл:
+ * [Float64 lineNums][Float64 times][Int32 clusterIds][Int8 levels].
+ * Шаг выборки и точные агрегаты записей — в JSON (records); tail — состояние
+ * перед последней записью набора, к которому откатывается дочитывание
+ *
+ * @param {Array} sources
+ * @param {string} paramsKey - параметры кластеризации
+ * @param {{clusterer: object, totalLines: number, totalRecords: number, scanStats: object, format: object,
+ *          records: RecordStore, checkpoints: LineCheckpoints, tail?: object}} data
+ */
+export function saveClusteringIndex(sources, paramsKey, data) {
+  if (!isIndexEnabled()) return;
+  const base = indexFile(sources, `-${hashKey(paramsKey)}`);
+  const count = data.records.length;
+  
+  try {
+    const buf = Buffer.alloc(count * BYTES_PER_RECORD);
+    const lineNums = new Float64Array(buf.buffer, buf.byteOffset, count);
+    const times = new Float64Array(buf.buffer, buf.byteOffset + count * 8, count);
+    const clusterIds = new Int32Array(buf.buffer, buf.byteOffset + count * 16, count);
+    const levels = new Int8Array(buf.buffer, buf.byteOffset + count * 20, count);
+    lineNums.set(data.records.lineNums);
+    times.set(data.records.times);
+    clusterIds.set(data.records.clusterIds);
+    levels.set(data.records.levels);
+    
+    writeAtomic(`${base}.bin`, buf);
+    writeAtomic(`${base}.json`, JSON.stringify({
+      version: INDEX_VERSION,
+      paramsKey,
+      totalLines: data.totalLines,
+      totalRecords: data.totalRecords,
+      scanStats: data.scanStats,
+      recordCount: count,
+      records: data.records.state(),
+      sources: snapshotSources(sources),
+      checkpoints: { points: data.checkpoints.points, end: data.checkpoints.end },
+      format: serializeFormat(data.format),
+      clusterer: data.clusterer,
+      tail: data.tail || null
+    }));
+  } catch (e) {
+    console.error(`Failed to save clustering index: ${e.message}`);
+  }
+}
+
+/**
+ * Загружает результат кластеризации, если параметры совпадают, а файлы
+ * не изменились или были только дописаны (тогда сервер дочитывает хвост).
+ * @returns {object|null} те же поля, что принимает saveClusteringIndex, и sources —
+ *   снимок файлов на момент сохранения. Записи не копируются: RecordStore
+ *   работает прямо с массивами поверх прочитанного буфера
+ */
+export function loadClusteringIndex(sources, paramsKey) {
+  if (!isIndexEnabled()) return null;
+  const base = indexFile(sources, `-${hashKey(paramsKey)}`);
+  
+  try {
+    if (!existsSync(`${base}.json`)) return null;
+    const meta = JSON.parse(readFileSync(`${base}.json`, 'utf8'));
+    if (meta.version !== INDEX_VERSION ||
+        meta.paramsKey !== paramsKey ||
+        compareSources(meta.sources, sources) === 'changed') {
+      removeQuietly(`${base}.json`, `${base}.bin`);
+      return null;
+    }
+    
+    // Копируем в выровненный ArrayBuffer: Float64Array требует кратного 8 смещения
+    const count = meta.recordCount;
+    const file = readFileSync(`${base}.bin`);
+    const buf = file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+    
+    return {
+      clusterer: meta.clusterer,
+      tail: meta.tail || null,
+      totalLines: meta.totalLines,
+      totalRecords: meta.totalRecords,
+      scanStats: meta.scanStats,
+      sources: meta.sources,
+      checkpoints: new LineCheckpoints(meta.checkpoints.points, meta.checkpoints.end),
+      format: deserializeFormat(meta.format),
+      records: RecordStore.restore({
+        lineNums: new Float64Array(buf, 0, count),
+        times: new Float64Array(buf, count * 8, count),
+        clusterIds: new Int32Array(buf, count * 16, count),
+        levels: new Int8Array(buf, count * 20, count)
+      }, meta.records, { maxRecords: maxStoredRecords() })
+    };
+  } catch (e) {
+    return null;
+  }
+}
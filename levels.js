@@ -0,0 +1,111 @@
+/**
+ * Severity Levels Module
+ *
+ * Уровень записи: слова DEBUG/INFO/WARN/ERROR/FATAL и их варианты в заголовке
+ * строки, приоритет syslog (<PRI>), поля level/severity структурированных логов
+ * (в том числе числовые уровни pino/bunyan)
+ */
+
+// Канонические уровни по возрастанию важности; индекс — ранг уровня
+export const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Поля структурированных логов, в которых обычно лежит уровень
+export const LEVEL_FIELDS = ['level', 'severity', 'lvl', 'loglevel', 'log_level', 'levelname', 'log.level', 'severity_text'];
+
+// Варианты написания → канонический уровень
+const SPELLINGS = {
+  trace: 'trace', finest: 'trace', finer: 'trace', verbose: 'trace',
+  debug: 'debug', dbg: 'debug', fine: 'debug',
+  info: 'info', information: 'info', informational: 'info', notice: 'info',
+  warn: 'warn', warning: 'warn',
+  error: 'error', err: 'error', severe: 'error',
+  fatal: 'fatal', critical: 'fatal', crit: 'fatal', alert: 'fatal', emerg: 'fatal', emergency: 'fatal', panic: 'fatal'
+};
+
+// Severity syslog (PRI % 8): emerg, alert, crit, err, warning, notice, info, debug
+const SYSLOG_SEVERITIES = ['fatal', 'fatal', 'fatal', 'error', 'warn', 'info', 'info', 'debug'];
+
+const WORDS = Object.keys(SPELLINGS).join('|');
+
+// Заглавными — слово в заголовке строки; в другом регистре — только в скобках
+// или как значение level=, иначе "error" в тексте сообщения давал бы уровень
+const UPPER_WORD = new RegExp(`\\b(${WORDS.toUpperCase()})\\b`);
+const MARKED_WORD = new RegExp(`(?:[\\[<]|\\b(?:level|severity|lvl)[=:]\\s*)(${WORDS})\\b`, 'i');
+
+// Уровень ищется в первых символах строки (после метки времени и имени потока)
+const HEADER_WINDOW = 120;
+
+/**
+ * Приводит значение уровня к каноническому: "WARNING" → "warn", 50 (pino) → "error",
+ * 3 (syslog severity) → "error"
+ * @returns {string|null}
+ */
+export function normalizeLevel(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN);
+  if (!isNaN(number)) {
+    if (number < SYSLOG_SEVERITIES.length) return SYSLOG_SEVERITIES[number];
+    // pino/bunyan: 10 trace, 20 debug, 30 info, 40 warn, 50 error, 60 fatal
+    const rank = Math.min(Math.max(Math.round(number / 10) - 1, 0), LEVELS.length - 1);
+    return LEVELS[rank];
+  }
+  return SPELLINGS[String(value).trim().toLowerCase()] || null;
+}
+
+/**
+ * Ранг уровня (индекс в LEVELS) или -1 — уровень неизвестен
+ */
+export function levelRank(level) {
+  return level ? LEVELS.indexOf(level) : -1;
+}
+
+/**
+ * Уровень текстовой строки: приоритет syslog или слово уровня в заголовке
+ * @returns {string|null}
+ */
+export function levelFromText(line) {
+  const pri = line.match(/^<(\d{1,3})>/);
+  if (pri) return SYSLOG_SEVERITIES[parseInt(pri[1], 10) % 8];
+  
+  const header = line.slice(0, HEADER_WINDOW);
+  const match = header.match(UPPER_WORD) || header.match(MARKED_WORD);
+  return match ? SPELLINGS[match[1].toLowerCase()] : null;
+}
+
+/**
+ * Уровень записи: поле уровня структурированной строки, иначе первая строка записи
+ */
+export function recordLevel(record, levelField = null) {
+  if (levelField && record.fields && record.fields[levelField] !== undefined) {
+    const level = normalizeLevel(record.fields[levelField]);
+    if (level) return level;
+  }
+  return levelFromText(record.lines[0]);
+}
+
+/**
+ * Количество записей по уровням в порядке убывания важности
+ * @param {number[]} counts - количества по рангу + 1 (counts[0] — без уровня)
+ * @returns {object} { fatal: n, error: n, ..., unknown: n } без нулевых
+ */
+export function levelBreakdown(counts) {
+  const breakdown = {};
+  for (let rank = LEVELS.length - 1; rank >= 0; rank--) {
+    if (counts[rank + 1] > 0) breakdown[LEVELS[rank]] = counts[rank + 1];
+  }
+  if (counts[0] > 0) breakdown.unknown = counts[0];
+  return breakdown;
+}
+
+/**
+ * Преобладающий уровень: самый частый из известных (при равенстве — более важный)
+ * @param {number[]} counts - количества по рангам
+ * @returns {string|null}
+ */
+export function dominantLevel(counts) {
+  let best = -1;
+  for (let rank = 0; rank < LEVELS.length; rank++) {
+    if (counts[rank] > 0 && (best < 0 || counts[rank] >= counts[best])) best = rank;
+  }
+  return best >= 0 ? LEVELS[best] : null;
+}
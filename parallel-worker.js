@@ -0,0 +1,102 @@
+/**
+ * Parallel Worker
+ *
+ * Воркер параллельного прохода: кластеризует записи одного диапазона набора
+ * (часть файла или несколько файлов подряд) и возвращает частичный результат — состояние кластеризатора, записи
+ * (буферы передаются без копирования) и контрольные точки строк. Номера строк
+ * в частичном результате считаются от начала диапазона; сдвигает их parallel.js.
+ * Воркер сообщает прогресс чтения, останавливается по сообщению 'cancel'
+ * и по бюджету времени вызова (deadline) — тогда результат частичный
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+
+import { LogClusterer, setMaskRules } from './clustering.js';
+import { DrainClusterer } from './drain.js';
+import { setTimestampConfig } from './timestamps.js';
+import { levelRank } from './levels.js';
+import { readLines } from './sources.js';
+import { assembleRecords } from './records.js';
+import { formatForSource, parseRecord, parseFieldFilter, matchesFieldFilter } from './formats.js';
+import { LineCheckpoints } from './index-store.js';
+import { RecordStore } from './record-store.js';
+import { ToolCall, runCall, callExpired } from './progress.js';
+
+const ENGINES = {
+  lcs: LogClusterer,
+  drain: DrainClusterer
+};
+
+/**
+ * Строки диапазона: от range.start файла range.sourceIndex до range.end файла range.lastIndex
+ */
+async function* rangeLines(sources, range, counter) {
+  const start = { sourceIndex: range.sourceIndex, offset: range.start, lineNum: 1, fileLine: 1 };
+  for await (const entry of readLines(sources, { start, end: range.lastIndex + 1 })) {
+    if (entry.sourceIndex === range.lastIndex && entry.offset >= range.end) return;
+    counter.lines = entry.lineNum;
+    yield entry;
+  }
+}
+
+async function clusterRange(job) {
+  const { sources, format, range, engine, maxClusters, threshold, filter, fields, minLevel, maxRecords } = job;
+  setMaskRules(job.maskRules);
+  setTimestampConfig(job.timestampConfig);
+  
+  const clusterer = new ENGINES[engine]({ maxClusters, threshold });
+  const records = new RecordStore({ maxRecords });
+  const checkpoints = new LineCheckpoints();
+  const fieldFilter = parseFieldFilter(fields);
+  const counter = { lines: 0 };
+  let totalLines = 0;
+  let totalRecords = 0;
+  
+  const entries = checkpoints.track(rangeLines(sources, range, counter));
+  const assembled = assembleRecords(entries, {
+    timestampPattern: source => formatForSource(format, source).timestampPattern,
+    filter
+  });
+  
+  for await (const record of assembled) {
+    parseRecord(record, formatForSource(format, record.source));
+    if (minLevel !== null && levelRank(record.level) < minLevel) continue;
+    if (!matchesFieldFilter(record.fields, fieldFilter)) continue;
+    
+    totalRecords++;
+    totalLines += record.lines.length;
+    const timestamp = record.timestamp;
+    const clusterId = clusterer.add(record.key, timestamp, record.text);
+    records.push(record.lineNum, timestamp ? timestamp.getTime() : NaN, clusterId, levelRank(record.level));
+  }
+  
+  const columns = records.columns();
+  parentPort.postMessage({ progress: { bytes: call.bytes, lines: call.lines } });
+  parentPort.postMessage({
+    clusterer: clusterer.serialize(),
+    columns,
+    records: records.state(),
+    lineCount: counter.lines,
+    totalLines,
+    totalRecords,
+    checkpoints: { points: checkpoints.points, end: checkpoints.end },
+    expired: callExpired()
+  }, Object.values(columns).map(column => column.buffer));
+}
+
+const controller = new AbortController();
+const onMessage = message => {
+  if (message === 'cancel') controller.abort();
+};
+parentPort.on('message', onMessage);
+
+const call = new ToolCall({
+  signal: controller.signal,
+  deadline: workerData.deadline,
+  onProgress: ({ bytes, lines }) => parentPort.postMessage({ progress: { bytes, lines } })
+});
+
+runCall(call, () => clusterRange(workerData))
+  .catch(e => parentPort.postMessage({ error: e.message }))
+  // Без подписки на сообщения воркер завершится сам
+  .finally(() => parentPort.off('message', onMessage));
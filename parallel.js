@@ -0,0 +1,301 @@
+/**
+ * Parallel Module
+ *
+ * Параллельный первый проход по большим наборам: файлы делятся на диапазоны
+ * байтов по границам записей, каждый диапазон кластеризуется в worker_threads
+ * (parallel-worker.js), частичные результаты сливаются по похожести шаблонов.
+ * Основной поток в это время только ждёт сообщений и продолжает отвечать
+ * на запросы. Прогресс воркеров складывается в прогресс вызова (progress.js),
+ * отмена вызова останавливает воркеры.
+ */
+
+import { Worker } from 'worker_threads';
+import { availableParallelism } from 'os';
+import { openSync, readSync, closeSync } from 'fs';
+
+import { getMaskRules } from './clustering.js';
+import { getTimestampConfig } from './timestamps.js';
+import { isContinuationLine } from './records.js';
+import { formatForSource } from './formats.js';
+import { LineCheckpoints } from './index-store.js';
+import { RecordStore } from './record-store.js';
+import { CancelledError, currentCall } from './progress.js';
+
+// Наименьший диапазон: на меньших запуск воркера дороже выигрыша
+const MIN_RANGE_BYTES = 16 * 1024 * 1024;
+
+// Воркеров по умолчанию не больше этого
+const MAX_DEFAULT_WORKERS = 4;
+
+// Сколько байтов после расчётной границы просматривается в поисках начала записи
+const ALIGN_WINDOW = 1024 * 1024;
+
+/**
+ * Число воркеров: LOG_EXPLORER_WORKERS или ядра минус одно (не больше 4);
+ * 0 или 1 — проход в основном потоке
+ */
+export function workerCount() {
+  const configured = parseInt(process.env.LOG_EXPLORER_WORKERS, 10);
+  if (configured >= 0) return configured;
+  return Math.min(availableParallelism() - 1, MAX_DEFAULT_WORKERS);
+}
+
+/**
+ * Смещение начала первой записи не раньше offset: начало строки, которая
+ * не продолжает предыдущую запись (не фрейм стека и не строка без метки времени)
+ * @returns {number|null} null — в окне нет начала записи
+ */
+function recordBoundary(fd, offset, timestampPattern) {
+  const buffer = Buffer.alloc(ALIGN_WINDOW);
+  const length = readSync(fd, buffer, 0, ALIGN_WINDOW, offset);
+  
+  let lineStart = buffer.indexOf(10) + 1;
+  while (lineStart > 0 && lineStart < length) {
+    const newline = buffer.indexOf(10, lineStart);
+    if (newline < 0 || newline >= length) return null;
+    const line = buffer.toString('utf8', lineStart, newline).replace(/\r$/, '');
+    if (!isContinuationLine(line, timestampPattern)) return offset + lineStart;
+    lineStart = newline + 1;
+  }
+  return null;
+}
+
+/**
+ * Делит набор на диапазоны для воркеров
+ *
+ * Размер диапазона — примерно (размер набора / workers), но не меньше
+ * MIN_RANGE_BYTES: набор меньше двух таких диапазонов остаётся одним диапазоном
+ * и читается в основном потоке. Большой несжатый файл режется на части по
+ * границам записей; gz читается только целиком. Файлы поменьше (ротации)
+ * собираются в общий диапазон целиком, вместе с хвостом предыдущего файла.
+ *
+ * Диапазон начинается с позиции start файла sourceIndex и заканчивается перед
+ * позицией end файла lastIndex. Диапазон, дочитывающий файл, открыт (end = Infinity):
+ * строки, дописанные во время прохода, тоже попадут в результат, как при
+ * последовательном чтении.
+ *
+ * @returns {Array<{sourceIndex: number, start: number, lastIndex: number, end: number}>}
+ */
+export function planRanges(sources, format, workers) {
+  const totalBytes = sources.reduce((sum, source) => sum + source.size, 0);
+  const target = Math.max(Math.ceil(totalBytes / workers), MIN_RANGE_BYTES);
+  const ranges = [];
+  
+  // Набираемый диапазон до конца файла и его размер
+  let current = null;
+  let currentBytes = 0;
+  const extend = (sourceIndex, start, bytes) => {
+    if (current) current.lastIndex = sourceIndex;
+    else current = { sourceIndex, start, lastIndex: sourceIndex, end: Infinity };
+    currentBytes += bytes;
+    if (currentBytes >= target) {
+      ranges.push(current);
+      current = null;
+      currentBytes = 0;
+    }
+  };
+  
+  sources.forEach((source, sourceIndex) => {
+    let start = 0;
+    if (!source.compressed && source.size > target * 1.5) {
+      if (current) ranges.push(current);
+      current = null;
+      currentBytes = 0;
+      
+      const timestampPattern = formatForSource(format, source).timestampPattern;
+      const fd = openSync(source.path, 'r');
+      try {
+        while (source.size - start > target * 1.5) {
+          const end = recordBoundary(fd, start + target, timestampPattern);
+          if (end === null) break;
+          ranges.push({ sourceIndex, start, lastIndex: sourceIndex, end });
+          start = end;
+        }
+      } finally {
+        closeSync(fd);
+      }
+    }
+    extend(sourceIndex, start, source.size - start);
+  });
+  
+  // Мелкие файлы в конце набора дочитывает предыдущий открытый диапазон
+  if (current) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === Infinity && currentBytes < MIN_RANGE_BYTES) last.lastIndex = current.lastIndex;
+    else ranges.push(current);
+  }
+  return ranges;
+}
+
+/**
+ * Кластеризует диапазон в отдельном воркере
+ * @param {object} job
+ * @param {{signal: AbortSignal|null, onProgress: Function, live: Set<Worker>}} options -
+ *   onProgress({bytes, lines}); live — работающие воркеры пула, воркер в нём до выхода
+ */
+function runWorker(job, { signal, onProgress, live }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const worker = new Worker(new URL('./parallel-worker.js', import.meta.url), { workerData: job });
+    live.add(worker);
+    // Воркер сам закрывает файлы и завершается на ближайшей проверке отмены
+    const cancel = () => {
+      worker.postMessage('cancel');
+      reject(new CancelledError());
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+    const settle = () => signal?.removeEventListener('abort', cancel);
+    
+    worker.on('message', message => {
+      if (message.progress) {
+        onProgress(message.progress);
+        return;
+      }
+      settle();
+      if (message.error) reject(new Error(message.error));
+      else resolve(message);
+    });
+    worker.once('error', error => {
+      settle();
+      reject(error);
+    });
+    worker.once('exit', code => {
+      live.delete(worker);
+      settle();
+      if (code !== 0) reject(new Error(`Worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Выполняет задания не более чем в workers воркерах одновременно
+ *
+ * После первой ошибки (или отмены) новые воркеры не запускаются, а работающие
+ * останавливаются terminate(): их результат уже не нужен, а вызывающий код
+ * повторит проход в основном потоке. Ошибка возвращается, когда все воркеры вышли
+ */
+async function runPool(jobs, workers, options) {
+  const results = new Array(jobs.length);
+  const live = new Set();
+  let next = 0;
+  let failure = null;
+  const lane = async () => {
+    while (next < jobs.length && !failure) {
+      const i = next++;
+      try {
+        results[i] = await runWorker(jobs[i], { ...options, live, onProgress: progress => options.onProgress(i, progress) });
+      } catch (e) {
+        // Воркер остановлен из-за ошибки в другом
+        if (failure) return;
+        failure = e;
+        await Promise.all([...live].map(worker => worker.terminate()));
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(workers, jobs.length) }, lane));
+  if (failure) throw failure;
+  return results;
+}
+
+/**
+ * Первый проход кластеризации в воркерах
+ *
+ * Частичные кластеры вливаются в итоговый кластеризатор по порядку диапазонов
+ * (mergeCluster), затем лишние вытесняются в "other". Внутренние ID записей
+ * переназначаются на итоговые (вытесненные в воркере — на -1, т.е. "other"),
+ * номера строк и контрольные точки сдвигаются на строки предыдущих диапазонов.
+ * Если истёк бюджет времени вызова, воркеры возвращают прочитанное, а в результат
+ * входят диапазоны до первого недочитанного включительно.
+ *
+ * @param {Array} sources
+ * @param {object} format - результат определения формата набора
+ * @param {{Clusterer: Function, engine: string, maxClusters: number, threshold: number, filter: string|null,
+ *          fields: string|null, minLevel: number|null, maxRecords: number, ranges: Array, workers: number}} options
+ * @returns {Promise<{clusterer: object, records: RecordStore, checkpoints: LineCheckpoints,
+ *          totalLines: number, totalRecords: number}>}
+ */
+export async function clusterInParallel(sources, format, options) {
+  const { Clusterer, engine, maxClusters, threshold, filter, fields, minLevel, maxRecords, ranges, workers } = options;
+  const call = currentCall();
+  const shared = {
+    sources, format, engine, maxClusters, threshold, filter, fields, minLevel,
+    maxRecords: Math.floor(maxRecords / ranges.length),
+    maskRules: getMaskRules(),
+    timestampConfig: getTimestampConfig(),
+    deadline: call ? call.deadline : Infinity
+  };
+  
+  // Прогресс пула — один проход вызова по всем диапазонам
+  const pass = call?.beginPass(sources.reduce((sum, source) => sum + source.size, 0));
+  const progress = ranges.map(() => ({ bytes: 0, lines: 0 }));
+  const onProgress = (i, update) => {
+    progress[i] = update;
+    pass?.update(progress.reduce((sum, p) => sum + p.bytes, 0), progress.reduce((sum, p) => sum + p.lines, 0));
+  };
+  
+  let parts;
+  try {
+    parts = await runPool(ranges.map(range => ({ ...shared, range })), workers, { signal: call?.signal || null, onProgress });
+  } finally {
+    pass?.end(pass.bytes);
+  }
+  // Диапазон, прерванный бюджетом времени, не дочитан: последующие не примыкают
+  // к прочитанному, и результат — как у последовательного прохода, начало набора
+  const expired = parts.findIndex(part => part.expired);
+  if (expired >= 0) {
+    call.expired = true;
+    parts.length = expired + 1;
+  }
+  
+  const clusterer = new Clusterer({ maxClusters, threshold });
+  const checkpoints = new LineCheckpoints();
+  const stores = [];
+  const fileLines = new Map();
+  let lineOffset = 0;
+  let totalLines = 0;
+  let totalRecords = 0;
+  
+  parts.forEach((part, i) => {
+    const { sourceIndex, lastIndex } = ranges[i];
+    const fileLineOffset = fileLines.get(sourceIndex) || 0;
+    // Номера строк в файле сдвигаются только у первого файла диапазона:
+    // следующие файлы диапазон читает с начала
+    const shift = point => ({
+      ...point,
+      lineNum: point.lineNum + lineOffset,
+      fileLine: point.fileLine + (point.sourceIndex === sourceIndex ? fileLineOffset : 0)
+    });
+    
+    const partial = Clusterer.deserialize(part.clusterer);
+    const ids = new Map(partial.clusters.map(cluster => [cluster.id, clusterer.mergeCluster(cluster)]));
+    clusterer.other.absorb(partial.other);
+    
+    const { lineNums, clusterIds } = part.columns;
+    for (let j = 0; j < lineNums.length; j++) {
+      lineNums[j] += lineOffset;
+      clusterIds[j] = ids.get(clusterIds[j]) ?? -1;
+    }
+    stores.push(RecordStore.restore(part.columns, part.records));
+    
+    for (const point of part.checkpoints.points) checkpoints.points.push(shift(point));
+    if (part.checkpoints.end) checkpoints.end = shift(part.checkpoints.end);
+    
+    lineOffset += part.lineCount;
+    // Следующий диапазон того же файла есть только у диапазона внутри одного файла
+    if (lastIndex === sourceIndex) fileLines.set(sourceIndex, fileLineOffset + part.lineCount);
+    totalLines += part.totalLines;
+    totalRecords += part.totalRecords;
+  });
+  clusterer.evictOverflow();
+  
+  return {
+    clusterer,
+    records: RecordStore.concat(stores, { maxRecords }),
+    checkpoints,
+    totalLines,
+    totalRecords
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Template Parameters Module
+ *
+ * Извлечение значений, стоящих за слотами шаблона кластера (.* и <NUM>, <IP>, ...),
+ * и статистика по каждому слоту: кардинальность, частые значения, числовые показатели
+ */
+
+// Лимит различных значений на слот: дальше кардинальность — нижняя оценка
+const MAX_DISTINCT = 10000;
+
+// Размер выборки для перцентилей
+const PERCENTILE_SAMPLE = 10000;
+
+const DURATION_UNITS_MS = {
+  ns: 1e-6, us: 1e-3, 'µs': 1e-3, ms: 1, s: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000
+};
+
+/**
+ * Слоты шаблона по порядку: 'wildcard' для .* или имя типизированного слота
+ */
+export function templateSlots(template) {
+  return [...template.matchAll(/\.\*|<([A-Z][A-Z0-9_]*)>/g)].map(m => m[1] || 'wildcard');
+}
+
+/**
+ * Строит RegExp по шаблону: статический текст — буквально (пробелы — \s+),
+ * каждый слот — группа захвата. Шаблон построен по маскированному ключу,
+ * а сопоставляется с исходным, поэтому <NAME> захватывает исходное значение.
+ */
+export function templateToRegExp(template) {
+  let source = '';
+  let last = 0;
+  for (const match of template.matchAll(/\.\*|<[A-Z][A-Z0-9_]*>/g)) {
+    source += escapeStatic(template.slice(last, match.index));
+    source += match[0] === '.*' ? '(.*?)' : '(.+?)';
+    last = match.index + match[0].length;
+  }
+  source += escapeStatic(template.slice(last));
+  return new RegExp(`^${source}$`, 's');
+}
+
+function escapeStatic(text) {
+  return text
+    .split(/\s+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+}
+
+/**
+ * Числовое значение слота; длительности приводятся к миллисекундам
+ * @returns {{value: number, unit: string|null}|null}
+ */
+function parseNumeric(text, type) {
+  const trimmed = text.trim();
+  if (/^-?\d+(?:\.\d+)?$/.test(trimmed)) {
+    return { value: parseFloat(trimmed), unit: null };
+  }
+  if (type === 'DURATION') {
+    const match = trimmed.match(/^(\d+(?:\.\d+)?)\s?(ns|us|µs|ms|sec|min|s|m|h)$/);
+    if (match) return { value: parseFloat(match[1]) * DURATION_UNITS_MS[match[2]], unit: 'ms' };
+  }
+  return null;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+  return sorted[idx];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Статистика значений одного слота
+ *
+ * isSensitive(text) — значение скрывается в ответе (redaction.js); числовые
+ * показатели такого слота раскрыли бы его, поэтому не выводятся
+ */
+export class SlotStats {
+  constructor(type, { isSensitive = null } = {}) {
+    this.type = type;
+    this.isSensitive = isSensitive;
+    this.sensitive = false;
+    this.count = 0;
+    this.values = new Map();
+    this.overflow = false;
+    this.numericCount = 0;
+    this.unit = null;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.sum = 0;
+    this.sample = [];
+  }
+  
+  add(text) {
+    this.count++;
+    if (this.values.has(text)) {
+      this.values.set(text, this.values.get(text) + 1);
+    } else if (this.values.size < MAX_DISTINCT) {
+      this.values.set(text, 1);
+    } else {
+      this.overflow = true;
+    }
+    
+    const numeric = parseNumeric(text, this.type);
+    if (!numeric) return;
+    if (!this.sensitive && this.isSensitive?.(text)) this.sensitive = true;
+    this.numericCount++;
+    this.unit = this.unit || numeric.unit;
+    this.min = Math.min(this.min, numeric.value);
+    this.max = Math.max(this.max, numeric.value);
+    this.sum += numeric.value;
+    
+    // Reservoir sampling: равномерная выборка для перцентилей при любом числе значений
+    if (this.sample.length < PERCENTILE_SAMPLE) {
+      this.sample.push(numeric.value);
+    } else {
+      const j = Math.floor(Math.random() * this.numericCount);
+      if (j < PERCENTILE_SAMPLE) this.sample[j] = numeric.value;
+    }
+  }
+  
+  toJSON(top = 10) {
+    const topValues = [...this.values.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, top)
+      .map(([value, count]) => ({
+        value,
+        count,
+        percent: ((count / this.count) * 100).toFixed(1) + '%'
+      }));
+    
+    const result = {
+      type: this.type,
+      count: this.count,
+      cardinality: this.values.size,
+      cardinality_exact: !this.overflow,
+      top_values: topValues
+    };
+    
+    // Числовая статистика — только если числовые все значения слота
+    // и среди них нет скрываемых
+    if (this.count > 0 && this.numericCount === this.count && this.sensitive) {
+      result.numeric = { redacted: true };
+    } else if (this.count > 0 && this.numericCount === this.count) {
+      const sorted = this.sample.sort((a, b) => a - b);
+      result.numeric = {
+        unit: this.unit,
+        min: round(this.min),
+        max: round(this.max),
+        mean: round(this.sum / this.numericCount),
+        p50: round(percentile(sorted, 0.5)),
+        p90: round(percentile(sorted, 0.9)),
+        p99: round(percentile(sorted, 0.99)),
+        sampled: this.numericCount > PERCENTILE_SAMPLE
+      };
+    }
+    return result;
+  }
+}
+
+/**
+ * Собирает значения слотов шаблона по ключам записей кластера
+ */
+export class TemplateParams {
+  /**
+   * @param {string} template
+   * @param {{isSensitive?: (text: string) => boolean}} options - см. SlotStats
+   */
+  constructor(template, options = {}) {
+    this.template = template;
+    this.regex = templateToRegExp(template);
+    this.slots = templateSlots(template).map(type => new SlotStats(type, options));
+    this.matched = 0;
+    this.unmatched = 0;
+  }
+  
+  add(key) {
+    const match = this.regex.exec(key);
+    if (!match) {
+      this.unmatched++;
+      return false;
+    }
+    this.matched++;
+    for (let i = 0; i < this.slots.length; i++) {
+      this.slots[i].add(match[i + 1]);
+    }
+    return true;
+  }
+  
+  toJSON(top = 10) {
+    return {
+      matched: this.matched,
+      unmatched: this.unmatched,
+      slots: this.slots.map((slot, i) => ({ slot: i + 1, ...slot.toJSON(top) }))
+    };
+  }
+}
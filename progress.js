@@ -0,0 +1,192 @@
+/**
+ * Progress Module
+ *
+ * Контекст вызова инструмента: прогресс чтения (байты, строки, оценка оставшегося
+ * времени), отмена запроса клиентом и бюджет времени вызова. Контекст доступен
+ * циклам readLines через AsyncLocalStorage, поэтому не передаётся через все
+ * функции между обработчиком инструмента и чтением строк
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const calls = new AsyncLocalStorage();
+
+// Отмена и бюджет времени проверяются раз в столько строк
+const CHECK_EVERY_LINES = 1024;
+
+// Уведомления о прогрессе — не чаще
+const REPORT_INTERVAL_MS = 1000;
+
+/**
+ * Запрос отменён клиентом
+ */
+export class CancelledError extends Error {
+  constructor() {
+    super('Request cancelled');
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * Вызов инструмента
+ *
+ * bytes/lines — прочитано всеми проходами вызова; total — прочитанное завершёнными
+ * проходами плюс размер ещё идущих. Когда наступает deadline, expired = true
+ * и readLines заканчивает чтение, как будто данные кончились: ответ строится
+ * по прочитанному
+ */
+export class ToolCall {
+  /**
+   * @param {{signal?: AbortSignal, deadline?: number, onProgress?: (call: ToolCall) => void}} options
+   *   deadline — epoch ms; onProgress вызывается не чаще раза в секунду
+   */
+  constructor({ signal = null, deadline = Infinity, onProgress = null } = {}) {
+    this.signal = signal;
+    this.deadline = deadline;
+    this.onProgress = onProgress;
+    this.startedAt = Date.now();
+    this.bytes = 0;
+    this.lines = 0;
+    this.total = 0;
+    this.expired = false;
+    this.reportedAt = 0;
+  }
+  
+  /**
+   * Новый проход чтения размером planned байт
+   */
+  beginPass(planned) {
+    this.total += planned;
+    return new ReadPass(this, planned);
+  }
+  
+  /**
+   * Оценка оставшегося времени по средней скорости вызова, секунды
+   * @returns {number|null}
+   */
+  eta() {
+    if (this.bytes === 0) return null;
+    const elapsed = Date.now() - this.startedAt;
+    return Math.round(elapsed / this.bytes * Math.max(this.total - this.bytes, 0) / 1000);
+  }
+  
+  /**
+   * Бросает CancelledError, если запрос отменён; отмечает истечение бюджета
+   * @returns {boolean} false — бюджет времени исчерпан
+   */
+  check() {
+    if (this.signal?.aborted) throw new CancelledError();
+    if (Date.now() >= this.deadline) this.expired = true;
+    return !this.expired;
+  }
+  
+  report() {
+    if (!this.onProgress) return;
+    const now = Date.now();
+    if (now - this.reportedAt < REPORT_INTERVAL_MS) return;
+    this.reportedAt = now;
+    this.onProgress(this);
+  }
+}
+
+/**
+ * Общий проход нескольких вызовов, ждущих один и тот же результат
+ *
+ * Проход идёт в своём контексте, а не в контексте вызова, который его начал:
+ * он отменяется, только когда его покинули все ждущие, срок — самый поздний
+ * из их сроков, прогресс уходит каждому ждущему
+ */
+export class SharedCall extends ToolCall {
+  constructor() {
+    const controller = new AbortController();
+    super({ signal: controller.signal, deadline: -Infinity });
+    this.controller = controller;
+    this.waiters = new Set();
+    this.onProgress = call => {
+      for (const waiter of this.waiters) waiter.onProgress?.(call);
+    };
+  }
+  
+  join(call) {
+    this.waiters.add(call);
+    this.deadline = Math.max(this.deadline, call.deadline);
+  }
+  
+  leave(call) {
+    this.waiters.delete(call);
+    if (this.waiters.size === 0) this.controller.abort();
+  }
+}
+
+/**
+ * Проход чтения внутри вызова (один вызов readLines или пул воркеров)
+ */
+class ReadPass {
+  constructor(call, planned) {
+    this.call = call;
+    this.planned = planned;
+    this.bytes = 0;
+    this.lines = 0;
+    this.pending = 0;
+  }
+  
+  /**
+   * Учитывает прочитанное проходом: bytes и lines — с начала прохода
+   */
+  update(bytes, lines) {
+    this.call.bytes += bytes - this.bytes;
+    this.call.lines += lines - this.lines;
+    this.bytes = bytes;
+    this.lines = lines;
+    this.pending = 0;
+    this.call.report();
+  }
+  
+  /**
+   * Отмечает строку; раз в CHECK_EVERY_LINES строк — прогресс, отмена и бюджет
+   * @param {number} bytes - прочитано байт с начала прохода
+   * @returns {boolean} false — пора остановить чтение
+   */
+  tick(bytes) {
+    if (++this.pending < CHECK_EVERY_LINES) return true;
+    this.update(bytes, this.lines + this.pending);
+    return this.call.check();
+  }
+  
+  /**
+   * Завершает проход: размер, заложенный в total, заменяется прочитанным
+   */
+  end(bytes) {
+    this.update(bytes, this.lines + this.pending);
+    this.call.total += this.bytes - this.planned;
+  }
+}
+
+/**
+ * Выполняет fn в контексте вызова call
+ */
+export function runCall(call, fn) {
+  return calls.run(call, fn);
+}
+
+/**
+ * Текущий вызов или null (чтение вне обработчика инструмента)
+ */
+export function currentCall() {
+  return calls.getStore() || null;
+}
+
+/**
+ * Проход чтения текущего вызова или null
+ */
+export function beginPass(planned) {
+  return currentCall()?.beginPass(planned) || null;
+}
+
+/**
+ * Чтение текущего вызова прервано бюджетом времени: результат неполный
+ * и не должен попадать в кэш или индекс
+ */
+export function callExpired() {
+  return currentCall()?.expired || false;
+}
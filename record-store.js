@@ -0,0 +1,256 @@
+/**
+ * Record Store Module
+ *
+ * Назначения записей результата кластеризации в типизированных массивах:
+ * номер строки, время (epoch ms), внутренний ID кластера и ранг уровня — 21 байт
+ * на запись вместо Date и массивов чисел. Границы времени и количества по уровням
+ * считаются точно по всем записям; сами записи, когда их больше бюджета памяти,
+ * хранятся систематической выборкой: каждая stride-я, stride удваивается при
+ * заполнении.
+ */
+
+import { LEVELS } from './levels.js';
+
+// Байт на запись: Float64 lineNum + Float64 time + Int32 clusterId + Int8 level
+export const BYTES_PER_RECORD = 21;
+
+// Бюджет памяти по умолчанию на записи всех результатов в кэше
+const DEFAULT_MEMORY_MB = 512;
+
+const INITIAL_CAPACITY = 4096;
+
+// Нижняя граница записей выборки: меньше — оценки теряют смысл
+const MIN_STORED_RECORDS = 10000;
+
+/**
+ * Бюджет памяти на записи: LOG_EXPLORER_MEMORY_MB или 512 MB
+ * @returns {number} байты
+ */
+export function memoryBudget() {
+  const mb = parseFloat(process.env.LOG_EXPLORER_MEMORY_MB);
+  return (mb > 0 ? mb : DEFAULT_MEMORY_MB) * 1024 * 1024;
+}
+
+/**
+ * Сколько записей результат хранит без выборки
+ */
+export function maxStoredRecords() {
+  return Math.max(Math.floor(memoryBudget() / BYTES_PER_RECORD), MIN_STORED_RECORDS);
+}
+
+/**
+ * 95% погрешность количества, оценённого по выборке: sampled записей из каждых stride
+ * @returns {number} ± в записях исходного лога
+ */
+export function samplingMargin(sampled, stride) {
+  if (stride <= 1) return 0;
+  return Math.round(1.96 * stride * Math.sqrt(Math.max(sampled, 1) * (1 - 1 / stride)));
+}
+
+/**
+ * Хранилище записей результата или уровня дерева кластеров
+ *
+ * push() вызывается для каждой записи прохода по порядку; lineNums/times/
+ * clusterIds/levels — представления хранимых записей (упорядочены по lineNum).
+ * Хранится запись с порядковым номером, кратным stride, поэтому после
+ * дочитывания хвоста выборка продолжается с тем же шагом.
+ */
+export class RecordStore {
+  constructor({ maxRecords = Infinity } = {}) {
+    this.maxRecords = maxRecords;
+    this.length = 0;
+    this.total = 0;
+    this.stride = 1;
+    this.firstTime = Infinity;
+    this.lastTime = -Infinity;
+    this.timedTotal = 0;
+    // ранг + 1 → количество (ранг -1 — уровень не определён)
+    this.levelCounts = new Array(LEVELS.length + 1).fill(0);
+    this._allocate(Math.min(INITIAL_CAPACITY, maxRecords));
+  }
+  
+  _allocate(capacity) {
+    const previous = this._lineNums ? this.columns() : null;
+    this._lineNums = new Float64Array(capacity);
+    this._times = new Float64Array(capacity);
+    this._clusterIds = new Int32Array(capacity);
+    this._levels = new Int8Array(capacity);
+    if (previous) {
+      this._lineNums.set(previous.lineNums);
+      this._times.set(previous.times);
+      this._clusterIds.set(previous.clusterIds);
+      this._levels.set(previous.levels);
+    }
+  }
+  
+  /**
+   * Удваивает шаг выборки: остаются записи на чётных позициях
+   */
+  _halve() {
+    this.stride *= 2;
+    let j = 0;
+    for (let i = 0; i < this.length; i += 2, j++) {
+      this._lineNums[j] = this._lineNums[i];
+      this._times[j] = this._times[i];
+      this._clusterIds[j] = this._clusterIds[i];
+      this._levels[j] = this._levels[i];
+    }
+    this.length = j;
+  }
+  
+  /**
+   * @param {number} lineNum
+   * @param {number} time - epoch ms или NaN
+   * @param {number} clusterId - внутренний ID кластера
+   * @param {number} level - ранг уровня или -1
+   */
+  push(lineNum, time, clusterId, level) {
+    const ordinal = this.total++;
+    if (!isNaN(time)) {
+      this.timedTotal++;
+      if (time < this.firstTime) this.firstTime = time;
+      if (time > this.lastTime) this.lastTime = time;
+    }
+    this.levelCounts[level + 1]++;
+    
+    if (ordinal % this.stride !== 0) return;
+    if (this.length >= this.maxRecords) {
+      this._halve();
+      if (ordinal % this.stride !== 0) return;
+    }
+    if (this.length === this._lineNums.length) {
+      this._allocate(Math.min(this._lineNums.length * 2, this.maxRecords));
+    }
+    
+    const i = this.length++;
+    this._lineNums[i] = lineNum;
+    this._times[i] = time;
+    this._clusterIds[i] = clusterId;
+    this._levels[i] = level;
+  }
+  
+  get lineNums() {
+    return this._lineNums.subarray(0, this.length);
+  }
+  
+  get times() {
+    return this._times.subarray(0, this.length);
+  }
+  
+  get clusterIds() {
+    return this._clusterIds.subarray(0, this.length);
+  }
+  
+  get levels() {
+    return this._levels.subarray(0, this.length);
+  }
+  
+  columns() {
+    return { lineNums: this.lineNums, times: this.times, clusterIds: this.clusterIds, levels: this.levels };
+  }
+  
+  /**
+   * Занятая память, байты
+   */
+  get byteLength() {
+    return this._lineNums.length * BYTES_PER_RECORD;
+  }
+  
+  get sampled() {
+    return this.stride > 1;
+  }
+  
+  /**
+   * Описание выборки для ответа инструмента; null — хранятся все записи
+   */
+  describeSampling() {
+    if (!this.sampled) return null;
+    return { every: this.stride, stored_records: this.length, total_records: this.total };
+  }
+  
+  /**
+   * Отметка текущего состояния для rewind()
+   */
+  mark() {
+    return { ...this.state(), length: this.length, levelCounts: [...this.levelCounts] };
+  }
+  
+  /**
+   * Возвращает хранилище к отметке mark(): записи, добавленные после неё, забываются
+   * @returns {boolean} false — с отметки изменился шаг выборки, вернуться нельзя
+   */
+  rewind(mark) {
+    if (mark.stride !== this.stride || mark.length > this.length) return false;
+    this.length = mark.length;
+    this.total = mark.total;
+    this.firstTime = mark.firstTime ?? Infinity;
+    this.lastTime = mark.lastTime ?? -Infinity;
+    this.timedTotal = mark.timedTotal;
+    this.levelCounts = [...mark.levelCounts];
+    return true;
+  }
+  
+  /**
+   * Агрегаты и шаг выборки для индекса на диске (без самих записей)
+   */
+  state() {
+    return {
+      total: this.total,
+      stride: this.stride,
+      firstTime: isFinite(this.firstTime) ? this.firstTime : null,
+      lastTime: isFinite(this.lastTime) ? this.lastTime : null,
+      timedTotal: this.timedTotal,
+      levelCounts: this.levelCounts
+    };
+  }
+  
+  /**
+   * Восстанавливает хранилище из столбцов индекса; если бюджет с тех пор
+   * уменьшился, выборка прореживается
+   */
+  static restore(columns, state, { maxRecords = Infinity } = {}) {
+    const store = new RecordStore({ maxRecords });
+    store._lineNums = columns.lineNums;
+    store._times = columns.times;
+    store._clusterIds = columns.clusterIds;
+    store._levels = columns.levels;
+    store.length = columns.lineNums.length;
+    store.total = state.total;
+    store.stride = state.stride;
+    store.firstTime = state.firstTime ?? Infinity;
+    store.lastTime = state.lastTime ?? -Infinity;
+    store.timedTotal = state.timedTotal;
+    store.levelCounts = state.levelCounts;
+    while (store.length > maxRecords) store._halve();
+    return store;
+  }
+  
+  /**
+   * Склеивает хранилища последовательных частей набора (параллельный проход):
+   * выборки частей приводятся к наибольшему шагу, агрегаты складываются
+   */
+  static concat(stores, { maxRecords = Infinity } = {}) {
+    const stride = Math.max(1, ...stores.map(part => part.stride));
+    const kept = stores.reduce((sum, part) => sum + Math.ceil(part.length * part.stride / stride), 0);
+    const store = new RecordStore({ maxRecords });
+    store._allocate(Math.max(kept, Math.min(INITIAL_CAPACITY, maxRecords)));
+    store.stride = stride;
+    
+    for (const part of stores) {
+      for (let i = 0; i < part.length; i += stride / part.stride) {
+        const j = store.length++;
+        store._lineNums[j] = part._lineNums[i];
+        store._times[j] = part._times[i];
+        store._clusterIds[j] = part._clusterIds[i];
+        store._levels[j] = part._levels[i];
+      }
+      store.total += part.total;
+      store.timedTotal += part.timedTotal;
+      store.firstTime = Math.min(store.firstTime, part.firstTime);
+      store.lastTime = Math.max(store.lastTime, part.lastTime);
+      part.levelCounts.forEach((count, i) => { store.levelCounts[i] += count; });
+    }
+    while (store.length > maxRecords) store._halve();
+    return store;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Record Assembly Module
+ *
+ * Склейка многострочных событий (stack traces, продолжения строк)
+ * в одну логическую запись
+ */
+
+import { matchesFilter } from './sources.js';
+
+// Метка времени должна начинаться в первых символах строки, чтобы считаться префиксом
+const TIMESTAMP_PREFIX_WINDOW = 40;
+
+// Для кластеризации берём заголовок записи и несколько первых строк продолжения:
+// глубокие фреймы стека не добавляют различий, но раздувают O(m×n) сравнение
+export const RECORD_KEY_LINES = 3;
+
+// Защита от бесконечной склейки, если формат времени определён неверно
+const MAX_RECORD_LINES = 1000;
+
+/**
+ * Строка-продолжение, распознаваемая без знания формата времени:
+ * отступ, "Caused by:", "... N more" или пустая строка
+ */
+export function isIndentedContinuation(line) {
+  return line === '' ||
+    /^\s/.test(line) ||
+    /^Caused by:/.test(line) ||
+    /^\.\.\. \d+ more/.test(line);
+}
+
+/**
+ * Есть ли у строки префикс-метка времени
+ */
+function hasTimestampPrefix(line, timestampPattern) {
+  const match = line.match(timestampPattern.regex);
+  return match !== null && match.index <= TIMESTAMP_PREFIX_WINDOW;
+}
+
+/**
+ * Является ли строка продолжением предыдущей записи
+ * @param {string} line
+ * @param {object|null} timestampPattern - паттерн из detectTimestampFormat
+ */
+export function isContinuationLine(line, timestampPattern = null) {
+  if (isIndentedContinuation(line)) return true;
+  return timestampPattern !== null && !hasTimestampPrefix(line, timestampPattern);
+}
+
+function createRecord(entry) {
+  return {
+    lineNum: entry.lineNum,
+    endLineNum: entry.lineNum,
+    source: entry.source,
+    sourceIndex: entry.sourceIndex,
+    offset: entry.offset,
+    fileLine: entry.fileLine,
+    lines: [entry.line]
+  };
+}
+
+function finishRecord(record) {
+  record.text = record.lines.join('\n');
+  record.key = record.lines.slice(0, RECORD_KEY_LINES).join('\n');
+  return record;
+}
+
+/**
+ * Собирает записи из потока строк readLines
+ *
+ * Строка продолжает текущую запись, если у неё нет префикса-метки времени
+ * (когда формат известен), есть отступ или она начинается с "Caused by:".
+ * Записи не пересекают границы файлов.
+ *
+ * @param {AsyncIterable<{lineNum: number, line: string, source: object, fileLine: number}>} entries
+ * @param {{timestampPattern?: object|Function, filter?: string|RegExp, onFinal?: Function}} options
+ *   timestampPattern — паттерн или функция source → паттерн (у потоков набора форматы могут различаться);
+ *   onFinal(record) — вызывается для последней записи, когда строки кончились, до фильтра и до
+ *   её выдачи: дописанные строки могут её продолжить
+ * @yields {{lineNum: number, endLineNum: number, source: object, fileLine: number,
+ *           lines: string[], text: string, key: string}}
+ */
+export async function* assembleRecords(entries, options = {}) {
+  const { timestampPattern = null, filter = null, onFinal = null } = options;
+  const patternOf = typeof timestampPattern === 'function' ? timestampPattern : () => timestampPattern;
+  let current = null;
+
+  for await (const entry of entries) {
+    const continues = current !== null &&
+      current.source === entry.source &&
+      current.lines.length < MAX_RECORD_LINES &&
+      isContinuationLine(entry.line, patternOf(entry.source));
+
+    if (continues) {
+      current.lines.push(entry.line);
+      current.endLineNum = entry.lineNum;
+      continue;
+    }
+
+    if (current) {
+      const record = finishRecord(current);
+      if (matchesFilter(record.text, filter)) yield record;
+    }
+    current = createRecord(entry);
+  }
+
+  if (current) {
+    const record = finishRecord(current);
+    onFinal?.(record);
+    if (matchesFilter(record.text, filter)) yield record;
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Redaction Module
+ *
+ * Скрытие секретов и персональных данных во всём, что сервер отдаёт клиенту:
+ * примеры, совпадения, сырые строки, значения полей. Найденное значение
+ * заменяется меткой <ТИП:хэш>; хэш — HMAC значения на ключе процесса, поэтому
+ * одно и то же значение получает одну и ту же метку во всех ответах,
+ * а восстановить его по метке нельзя.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+
+/**
+ * Номер карты: префикс платёжной системы (Visa, Mastercard, Amex, Discover, JCB, UnionPay)
+ * и контрольная цифра по алгоритму Луна. Префикс отсекает метки времени в мс
+ * и прочие длинные числа, случайно прошедшие проверку Луна
+ */
+function isCardNumber(text) {
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  if (!/^(?:4|5[1-5]|2[2-7]|3[47]|35|6(?:011|2|5))/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Встроенные правила (порядок важен: JWT раньше Bearer, чтобы токен в заголовке
+ * получил тип JWT). Где секрет стоит после ключа, ключ остаётся в тексте
+ * (lookbehind). optional — правило выключено, пока его не включат в конфигурации.
+ * normalize приводит разные записи одного значения к одной перед хэшем метки
+ */
+export const DEFAULT_REDACTION_RULES = [
+  { name: 'JWT', pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g },
+  { name: 'BEARER', pattern: /(?<=\bBearer\s+)[\w.~+\/-]+=*/gi },
+  { name: 'AWS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'AWS_SECRET', pattern: /(?<=\baws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9\/+]{40}(?![A-Za-z0-9\/+])/gi },
+  { name: 'EMAIL', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, normalize: email => email.toLowerCase() },
+  {
+    name: 'CARD',
+    pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    check: isCardNumber,
+    normalize: card => card.replace(/\D/g, '')
+  },
+  {
+    name: 'IP',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi,
+    optional: true
+  }
+];
+
+// Ключ меток: новый при каждом запуске, метки согласованы в пределах процесса
+const PLACEHOLDER_KEY = randomBytes(32);
+
+let redactionRules = DEFAULT_REDACTION_RULES.filter(r => !r.optional);
+
+/**
+ * Собирает правила скрытия из конфигурации пользователя
+ *
+ * Пользовательские правила применяются раньше встроенных; правило с именем
+ * встроенного заменяет его. enable включает необязательные встроенные (IP),
+ * disable отключает встроенные по имени.
+ *
+ * @param {{rules?: Array<{name: string, pattern: string, flags?: string}>, enable?: string[], disable?: string[]}} config
+ */
+export function compileRedactionRules(config = {}) {
+  const custom = (config.rules || []).map(({ name, pattern, flags = '' }) => {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name || '')) {
+      throw new Error(`Invalid redaction rule name: ${name} (use UPPER_CASE)`);
+    }
+    return { name, pattern: new RegExp(pattern, flags.includes('g') ? flags : flags + 'g') };
+  });
+  const enable = new Set(config.enable || []);
+  const skip = new Set([...(config.disable || []), ...custom.map(r => r.name)]);
+  return [
+    ...custom,
+    ...DEFAULT_REDACTION_RULES.filter(r => !skip.has(r.name) && (!r.optional || enable.has(r.name)))
+  ];
+}
+
+/**
+ * Устанавливает правила скрытия для всех ответов
+ */
+export function setRedactionRules(rules) {
+  redactionRules = rules;
+}
+
+/**
+ * Есть ли в тексте значение, которое скрывается текущими правилами
+ */
+export function containsSecret(text, rules = redactionRules) {
+  return rules.some(({ pattern, check }) => {
+    for (const [match] of text.matchAll(pattern)) {
+      if (match !== '' && (!check || check(match))) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Метка значения: <EMAIL:3f9a1c2b>
+ */
+function placeholder(name, value) {
+  const hash = createHmac('sha256', PLACEHOLDER_KEY).update(`${name}\0${value}`).digest('hex');
+  return `<${name}:${hash.slice(0, 8)}>`;
+}
+
+/**
+ * Скрытие в пределах одного ответа: считает замены по типам
+ */
+export class Redactor {
+  constructor(rules = redactionRules) {
+    this.rules = rules;
+    this.counts = new Map();
+  }
+  
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    let redacted = text;
+    for (const { name, pattern, check, normalize } of this.rules) {
+      redacted = redacted.replace(pattern, match => {
+        if (match === '' || (check && !check(match))) return match;
+        this.counts.set(name, (this.counts.get(name) || 0) + 1);
+        return placeholder(name, normalize ? normalize(match) : match);
+      });
+    }
+    return redacted;
+  }
+  
+  /**
+   * Копия значения ответа со скрытием во всех строках (ключи объектов не меняются).
+   * Число, в записи которого найден секрет (номер карты в числовой статистике),
+   * заменяется меткой
+   */
+  redactValue(value) {
+    if (typeof value === 'string') return this.redact(value);
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      const text = String(value);
+      const redacted = this.redact(text);
+      return redacted === text ? value : redacted;
+    }
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+    }
+    return value;
+  }
+  
+  get total() {
+    let total = 0;
+    for (const count of this.counts.values()) total += count;
+    return total;
+  }
+  
+  /**
+   * Число замен для ответа; null — ничего не скрыто
+   * @returns {{total: number, by_type: Object<string, number>}|null}
+   */
+  summary() {
+    if (this.counts.size === 0) return null;
+    return { total: this.total, by_type: Object.fromEntries(this.counts) };
+  }
+}
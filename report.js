@@ -0,0 +1,248 @@
+/**
+ * Report Module
+ *
+ * Отчёт об инциденте в Markdown или HTML: сводка по файлам, таблица кластеров,
+ * временные ряды (ASCII для Markdown, встроенный SVG для HTML), аномалии
+ * и примеры строк. HTML самодостаточен — без внешних стилей и скриптов
+ */
+
+import { formatHistogram } from './timestamps.js';
+
+// Размер SVG-графика временного ряда
+const SVG_WIDTH = 640;
+const SVG_HEIGHT = 90;
+
+/**
+ * Событие аномалии одной строкой: "spike 10:25–10:30: 120 (expected 3)"
+ */
+export function describeEvent(event) {
+  if (event.type === 'level_shift') {
+    return `level shift at ${event.time}: ${event.before_per_bucket} → ${event.after_per_bucket} per bucket`;
+  }
+  if (event.until) {
+    return `${event.type} ${event.time} – ${event.until}: ${event.count} (expected ${event.expected})`;
+  }
+  return `${event.type.replace('_', ' ')} at ${event.time}`;
+}
+
+/**
+ * Строки сводки: подпись → значение
+ */
+function summaryRows(report) {
+  const { overview, clusters } = report;
+  const rows = [
+    ['Files', report.files.join(', ')],
+    ['Size', overview.size_human],
+    ['Lines', overview.total_lines],
+    ['Records', overview.total_records],
+    ['Format', [overview.log_format, overview.timestamp_format].filter(Boolean).join(', ')]
+  ];
+  if (overview.time_range) {
+    rows.push(['Time range', `${overview.time_range.start} – ${overview.time_range.end} (${overview.time_range.duration})`]);
+  }
+  if (overview.window) {
+    rows.push(['Window', `${overview.window.since || '…'} – ${overview.window.until || '…'}`]);
+  }
+  if (overview.levels) {
+    rows.push(['Levels', Object.entries(overview.levels).map(([level, count]) => `${level} ${count}`).join(', ')]);
+  }
+  const scope = [clusters.engine, clusters.filter && `filter "${clusters.filter}"`, clusters.fields,
+    clusters.min_level && `min level ${clusters.min_level}`].filter(Boolean);
+  rows.push(['Clusters', `${clusters.cluster_count} (${scope.join(', ')})`]);
+  return rows;
+}
+
+/**
+ * Ячейка Markdown-таблицы: "|" экранируется, переводы строк — пробелы
+ */
+export function markdownCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Inline-код Markdown; текст с обратной кавычкой — в двойных обратных кавычках
+ */
+export function markdownCode(text) {
+  const flat = String(text).replace(/\s*\n\s*/g, ' ');
+  return flat.includes('`') ? `\`\` ${flat} \`\`` : `\`${flat}\``;
+}
+
+/**
+ * Корзина "other" вместо шаблона: у неё шаблона нет, в ней строки вытесненных кластеров
+ */
+function evictedDescription(c) {
+  return c.evicted_clusters ? `lines of ${c.evicted_clusters} evicted clusters` : 'lines of evicted clusters';
+}
+
+/**
+ * Шаблон кластера в Markdown; cell — для ячейки таблицы
+ */
+function markdownTemplate(c, { cell = false } = {}) {
+  if (c.template === null || c.template === undefined) return `_${evictedDescription(c)}_`;
+  return markdownCode(cell ? markdownCell(c.template) : c.template);
+}
+
+/**
+ * Отчёт в Markdown
+ * @param {object} report - собранные сервером данные: { title, generated, files, overview,
+ *   clusters, anomalies, overall, timelines, bucketUnit, examples }
+ */
+export function renderMarkdownReport(report) {
+  const { clusters, anomalies, timelines } = report;
+  const out = [`# ${report.title}`, '', `Generated ${report.generated}.`, '', '## Summary', '', '| | |', '|---|---|'];
+  for (const [label, value] of summaryRows(report)) out.push(`| ${label} | ${markdownCell(value)} |`);
+  
+  if (report.overall) {
+    out.push('', `## Timeline (per ${report.bucketUnit})`, '', '```', formatHistogram(report.overall), '```');
+  }
+  
+  out.push('', '## Clusters', '', '| ID | Count | Share | Level | Template |', '|----|------:|------:|-------|----------|');
+  for (const c of clusters.clusters) {
+    out.push(`| ${c.id} | ${c.count} | ${c.percent} | ${c.level || ''} | ${markdownTemplate(c, { cell: true })} |`);
+  }
+  
+  if (anomalies) {
+    out.push('', '## Anomalies', '');
+    if (anomalies.overall.events.length > 0) {
+      out.push('All records:', '', ...anomalies.overall.events.map(e => `- ${describeEvent(e)}`), '');
+    }
+    if (anomalies.clusters.length === 0) out.push('No anomalous clusters.');
+    for (const c of anomalies.clusters) {
+      out.push(`- ${markdownCode(c.id)} ${markdownTemplate(c)} — score ${c.score}`);
+      out.push(...c.events.map(e => `  - ${describeEvent(e)}`));
+    }
+  }
+  
+  out.push('', '## Cluster details');
+  for (const c of clusters.clusters) {
+    out.push('', `### ${c.id}: ${c.count} records${c.level ? `, ${c.level}` : ''}`, '', markdownTemplate(c));
+    const timeline = timelines.find(t => t.id === c.id);
+    if (timeline) out.push('', '```', formatHistogram(timeline.histogram), '```');
+    const examples = c.examples.slice(0, report.examples);
+    if (examples.length > 0) out.push('', 'Examples:', '', '```', ...examples, '```');
+  }
+  
+  return out.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Шаблон кластера в HTML; у корзины "other" — описание
+ */
+function htmlTemplate(c) {
+  if (c.template === null || c.template === undefined) return `<em>${evictedDescription(c)}</em>`;
+  return `<code>${escapeHtml(c.template)}</code>`;
+}
+
+/**
+ * Гистограмма как встроенный SVG: столбцы с подсказкой "время: количество",
+ * подписи начала и конца оси времени
+ */
+export function svgTimeline(histogram, { width = SVG_WIDTH, height = SVG_HEIGHT } = {}) {
+  if (histogram.length === 0) return '';
+  const chartHeight = height - 16;
+  const maxCount = Math.max(...histogram.map(b => b.count), 1);
+  const barWidth = width / histogram.length;
+  const bars = histogram.map((bucket, i) => {
+    const barHeight = Math.round(bucket.count / maxCount * chartHeight * 10) / 10;
+    const x = Math.round(i * barWidth * 10) / 10;
+    const y = Math.round((chartHeight - barHeight) * 10) / 10;
+    const w = Math.max(Math.round((barWidth - 1) * 10) / 10, 0.5);
+    return `<rect x="${x}" y="${y}" width="${w}" height="${barHeight}">` +
+      `<title>${bucket.start.toISOString()}: ${bucket.count}</title></rect>`;
+  });
+  const label = date => date.toISOString().substring(0, 19).replace('T', ' ');
+  return `<svg class="timeline" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}" role="img">` +
+    `<line x1="0" y1="${chartHeight + 0.5}" x2="${width}" y2="${chartHeight + 0.5}" class="axis"/>` +
+    bars.join('') +
+    `<text x="0" y="${height - 2}">${label(histogram[0].start)}</text>` +
+    `<text x="${width}" y="${height - 2}" text-anchor="end">${label(histogram[histogram.length - 1].end)}</text>` +
+    `<text x="${width}" y="10" text-anchor="end">max ${maxCount}</text>` +
+    '</svg>';
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1000px; color: #222; }
+h1, h2, h3 { font-weight: 600; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+td.num { text-align: right; }
+code, pre { font-family: Menlo, Consolas, monospace; font-size: 0.9em; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; }
+.level-error, .level-fatal { color: #b00020; }
+.level-warn { color: #a66300; }
+svg.timeline rect { fill: #4a78c2; }
+svg.timeline .axis { stroke: #999; }
+svg.timeline text { font-size: 10px; fill: #666; }
+`;
+
+/**
+ * Отчёт в HTML (один файл со стилями и SVG)
+ * @param {object} report - то же, что для renderMarkdownReport
+ */
+export function renderHtmlReport(report) {
+  const { clusters, anomalies, timelines } = report;
+  const level = c => (c.level ? `<span class="level-${c.level}">${c.level}</span>` : '');
+  const out = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title><style>${HTML_STYLE}</style></head>`,
+    '<body>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p>Generated ${escapeHtml(report.generated)}.</p>`,
+    '<h2>Summary</h2>',
+    '<table>',
+    ...summaryRows(report).map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`),
+    '</table>'
+  ];
+  
+  if (report.overall) {
+    out.push(`<h2>Timeline (per ${escapeHtml(report.bucketUnit)})</h2>`, svgTimeline(report.overall));
+  }
+  
+  out.push('<h2>Clusters</h2>', '<table>',
+    '<tr><th>ID</th><th>Count</th><th>Share</th><th>Level</th><th>Template</th></tr>');
+  for (const c of clusters.clusters) {
+    out.push(`<tr><td><a href="#cluster-${c.id}"><code>${c.id}</code></a></td><td class="num">${c.count}</td>` +
+      `<td class="num">${c.percent}</td><td>${level(c)}</td><td>${htmlTemplate(c)}</td></tr>`);
+  }
+  out.push('</table>');
+  
+  if (anomalies) {
+    out.push('<h2>Anomalies</h2>');
+    if (anomalies.overall.events.length > 0) {
+      out.push('<p>All records:</p>', '<ul>', ...anomalies.overall.events.map(e => `<li>${escapeHtml(describeEvent(e))}</li>`), '</ul>');
+    }
+    if (anomalies.clusters.length === 0) out.push('<p>No anomalous clusters.</p>');
+    else {
+      out.push('<table>', '<tr><th>Cluster</th><th>Score</th><th>Events</th><th>Template</th></tr>');
+      for (const c of anomalies.clusters) {
+        out.push(`<tr><td><code>${c.id}</code></td><td class="num">${c.score}</td>` +
+          `<td>${c.events.map(e => escapeHtml(describeEvent(e))).join('<br>')}</td>` +
+          `<td>${htmlTemplate(c)}</td></tr>`);
+      }
+      out.push('</table>');
+    }
+  }
+  
+  out.push('<h2>Cluster details</h2>');
+  for (const c of clusters.clusters) {
+    out.push(`<h3 id="cluster-${c.id}"><code>${c.id}</code>: ${c.count} records ${level(c)}</h3>`,
+      `<p>${htmlTemplate(c)}</p>`);
+    const timeline = timelines.find(t => t.id === c.id);
+    if (timeline) out.push(svgTimeline(timeline.histogram));
+    const examples = c.examples.slice(0, report.examples);
+    if (examples.length > 0) out.push(`<pre>${examples.map(escapeHtml).join('\n')}</pre>`);
+  }
+  
+  out.push('</body>', '</html>');
+  return out.join('\n') + '\n';
+}
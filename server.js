@@ -8,9 +8,22 @@
  * - log_overview: общая информация о файле логов
  * - log_cluster: кластеризация логов с шаблонами
  * - log_cluster_drill: углубление в конкретный кластер
+ * - log_cluster_params: значения за слотами шаблона кластера
+ * - log_cluster_tree: дерево раскрытых кластеров
  * - log_timeline: временная динамика
+ * - log_anomalies: кластеры с самой аномальной динамикой
+ * - log_correlate: кластеры, опережающие или следующие за целевым во времени
+ * - log_trace: путь запроса по ID через строки и файлы, сводка трасс кластера
+ * - log_diff: сравнение двух файлов или двух окон времени
  * - log_grep: поиск с примерами (без полного вывода)
  * - log_fetch: получение сырых строк по фильтру
+ * - log_tail: новые записи растущего файла с момента курсора
+ * - log_report: отчёт об инциденте в Markdown/HTML, записанный в файл
+ * - log_list_files: файлы логов в разрешённых каталогах
+ * - log_session_open: сессия анализа с закреплёнными файлами и параметрами
+ * - log_session_note: заметка или закладка на кластер / диапазон строк
+ * - log_session_list: сохранённые сессии
+ * - log_session_export: отчёт сессии в JSON или Markdown
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -19,118 +32,880 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
-import { createReadStream, statSync, existsSync } from 'fs';
-import { createInterface } from 'readline';
-
-import { LogClusterer, LogCluster, extractTemplate } from './clustering.js';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, realpathSync } from 'fs';
+import { dirname, join, delimiter, resolve as resolvePath } from 'path';
+import {
+  LogClusterer,
+  LogCluster,
+  extractTemplate,
+  compileMaskRules,
+  setMaskRules,
+  maskSignature,
+  OTHER_CLUSTER_ID
+} from './clustering.js';
+import { DrainClusterer } from './drain.js';
+import { TemplateParams } from './params.js';
+import { ClusterTree, parseClusterPath } from './cluster-tree.js';
+import { diffClusterSets } from './diff.js';
+import { analyzeSeries, dailyPeriod, lifecycleEvents } from './anomalies.js';
+import { bestLag } from './correlation.js';
+import { extractTraceId, traceIdMatcher, isFailure, TraceSummary, MAX_TRACES } from './trace.js';
+import { LEVELS, normalizeLevel, levelRank, levelBreakdown, dominantLevel } from './levels.js';
+import {
+  parseTimeBound,
+  parseTimeRange,
+  isRelativeToLogEnd,
+  describeTimeRange,
+  formatDuration,
+  TimeWindow,
+  findRangeStart
+} from './timerange.js';
 import {
   detectTimestampFormat,
+  compileTimestampConfig,
+  setTimestampConfig,
+  timestampSignature,
+  timezoneForFile,
   extractTimestamp,
   calculateBucketSize,
   buildHistogram,
   formatHistogram
 } from './timestamps.js';
+import { renderMarkdownReport, renderHtmlReport } from './report.js';
+import {
+  createSession,
+  getSession,
+  saveSession,
+  listSessions,
+  pinParams,
+  sessionToolArgs,
+  addNote,
+  sessionSummary,
+  renderSessionMarkdown,
+  PINNED_PARAMS,
+  EXCERPT_LINES
+} from './sessions.js';
+import { resolveSources, listStreams, readLines, compareSources, matchesFilter, globToRegExp } from './sources.js';
+import { assembleRecords, isContinuationLine, isIndentedContinuation } from './records.js';
+import {
+  describeFormat,
+  formatForSource,
+  parseRecord,
+  parseFieldFilter,
+  matchesFieldFilter,
+  parseFields
+} from './formats.js';
+import {
+  LineCheckpoints,
+  sourceFingerprint,
+  loadLineIndex,
+  saveLineIndex,
+  loadClusteringIndex,
+  saveClusteringIndex
+} from './index-store.js';
+import { RecordStore, maxStoredRecords, memoryBudget, samplingMargin } from './record-store.js';
+import { workerCount, planRanges, clusterInParallel } from './parallel.js';
+import { ToolCall, SharedCall, runCall, currentCall, callExpired, CancelledError } from './progress.js';
+import { setAllowedRoots, getAllowedRoots, checkAccess, isAllowed } from './access.js';
+import { compileRedactionRules, setRedactionRules, containsSecret, Redactor } from './redaction.js';
 
-// Кэш для обработанных файлов
+// Кэш для обработанных файлов (результат хранит снимок файлов для проверки изменений);
+// порядок — от давно использованных к недавним, см. cacheResult
 const fileCache = new Map();
 
+// Текущие проходы кластеризации по ключу кэша
+const scanLocks = new Map();
+
+// Движки кластеризации: lcs — точнее шаблоны, drain — быстрее на миллионах строк
+const ENGINES = {
+  lcs: LogClusterer,
+  drain: DrainClusterer
+};
+
+// Контрольные точки смещений строк: путь набора → { sources, checkpoints }
+const lineIndexCache = new Map();
+
+// Кэш определённых форматов (время, text/JSON/logfmt)
+const formatCache = new Map();
+
+// Выборка для определения формата: строк-заголовков с начала каждого потока
+const FORMAT_SAMPLE_LINES = 1000;
+
+/**
+ * Определяет формат набора по первым строкам-заголовкам каждого потока
+ *
+ * У набора из нескольких логов (api.log, db.log) форматы потоков могут различаться:
+ * они лежат в format.streams, а общие поля верхнего уровня заполнены, только
+ * если совпадают у всех потоков.
+ */
+async function detectSourceFormat(sources, { timestampField = null } = {}) {
+  const cacheKey = `${sourceFingerprint(sources)}:${timestampField || ''}`;
+  if (formatCache.has(cacheKey)) {
+    return formatCache.get(cacheKey);
+  }
+  
+  const formats = [];
+  for (const stream of listStreams(sources)) {
+    // Строки продолжения (фреймы стека) не несут метку времени и занижают confidence
+    const sampleLines = [];
+    const start = stream.first > 0 ? await streamStart(sources, stream) : null;
+    for await (const { line } of readLines(sources, { start, end: stream.end })) {
+      if (isIndentedContinuation(line)) continue;
+      sampleLines.push(line);
+      if (sampleLines.length >= FORMAT_SAMPLE_LINES) break;
+    }
+    
+    const formatResult = detectTimestampFormat(sampleLines);
+    formats.push(describeFormat(sampleLines, {
+      timestampPattern: formatResult ? formatResult.pattern : null,
+      timestampField,
+      timezone: timezoneForFile(sources[stream.first].path)
+    }));
+  }
+  
+  const format = mergeStreamFormats(formats);
+  // Выборка, оборванная бюджетом времени, могла оказаться неполной
+  if (!callExpired()) formatCache.set(cacheKey, format);
+  return format;
+}
+
+/**
+ * Общий формат набора по форматам потоков
+ */
+function mergeStreamFormats(formats) {
+  if (formats.length === 1) return formats[0];
+  const shared = key => (formats.every(f => f[key] === formats[0][key]) ? formats[0][key] : null);
+  return {
+    logFormat: shared('logFormat') || 'mixed',
+    timestampPattern: shared('timestampPattern'),
+    timestampField: shared('timestampField'),
+    messageField: shared('messageField'),
+    timezone: shared('timezone'),
+    fieldNames: [...new Set(formats.flatMap(f => f.fieldNames))],
+    streams: formats
+  };
+}
+
+/**
+ * Название источника времени: имя паттерна или поле структурированного лога
+ * (у набора с разными форматами — через запятую)
+ */
+function timestampFormatName(format) {
+  if (format.streams) {
+    const names = [...new Set(format.streams.map(timestampFormatName).filter(Boolean))];
+    return names.length > 0 ? names.join(', ') : null;
+  }
+  if (format.timestampPattern) return format.timestampPattern.name;
+  if (format.timestampField) return `field:${format.timestampField}`;
+  return null;
+}
+
 /**
- * Читает строки из файла
+ * Читает многострочные записи набора с разобранными полями
+ *
+ * range — окно времени {since, until}: без start чтение начинается с контрольной
+ * точки перед since и заканчивается на первой записи после until. Окно проверяется
+ * до фильтров, чтобы запись без метки наследовала время предыдущей записи лога.
+ * По времени упорядочен лишь каждый поток, поэтому окно ищется в потоках по отдельности.
+ *
+ * stream — читать только этот поток (элемент listStreams); minLevel — только записи
+ * с рангом уровня не ниже (записи без уровня отбрасываются).
  */
-async function* readLines(filePath, options = {}) {
-  const { skip = 0, limit = Infinity, filter = null } = options;
+async function* readRecords(sources, format, options = {}) {
+  const {
+    filter = null, fieldFilter = null, checkpoints = null, range = null, stream = null, minLevel = null, onFinal = null
+  } = options;
+  
+  if (range && !options.start && !stream) {
+    const streams = listStreams(sources);
+    if (streams.length > 1) {
+      for (const each of streams) {
+        yield* readRecords(sources, format, { ...options, stream: each });
+      }
+      return;
+    }
+  }
   
-  const rl = createInterface({
-    input: createReadStream(filePath),
-    crlfDelay: Infinity
+  let start = options.start || (range ? await seekTimeRange(sources, format, range, stream) : null);
+  if (!start && stream && stream.first > 0) start = await streamStart(sources, stream);
+  const end = stream ? stream.end : sources.length;
+  const lines = checkpoints
+    ? checkpoints.track(readLines(sources, { start, end }))
+    : readLines(sources, { start, end });
+  const records = assembleRecords(lines, {
+    timestampPattern: source => formatForSource(format, source).timestampPattern,
+    filter: range ? null : filter,
+    onFinal
   });
+  const window = range ? new TimeWindow(range) : null;
   
-  let lineNum = 0;
-  let yielded = 0;
+  for await (const record of records) {
+    parseRecord(record, formatForSource(format, record.source));
+    if (window) {
+      const position = window.position(record.timestamp ? record.timestamp.getTime() : null);
+      if (position > 0) return;
+      if (position < 0 || !matchesFilter(record.text, filter)) continue;
+    }
+    if (minLevel !== null && levelRank(record.level) < minLevel) continue;
+    if (!matchesFieldFilter(record.fields, fieldFilter)) continue;
+    yield record;
+  }
+}
+
+/**
+ * Записи всех потоков набора в порядке времени (слияние упорядоченных потоков)
+ *
+ * Запись без метки времени наследует время предыдущей записи своего потока;
+ * при равном времени первым идёт поток, указанный раньше.
+ */
+async function* mergeStreamRecords(sources, format, options = {}) {
+  const heads = listStreams(sources).map(stream => ({
+    iterator: readRecords(sources, format, { ...options, stream })[Symbol.asyncIterator](),
+    record: null,
+    time: -Infinity
+  }));
+  const advance = async head => {
+    const { value, done } = await head.iterator.next();
+    head.record = done ? null : value;
+    if (!done && value.timestamp) head.time = value.timestamp.getTime();
+  };
   
-  for await (const line of rl) {
-    lineNum++;
-    
-    if (lineNum <= skip) continue;
-    if (yielded >= limit) break;
-    
-    if (filter) {
-      if (typeof filter === 'string' && !line.includes(filter)) continue;
-      if (filter instanceof RegExp && !filter.test(line)) continue;
+  try {
+    for (const head of heads) await advance(head);
+    while (true) {
+      let next = null;
+      for (const head of heads) {
+        if (head.record && (!next || head.time < next.time)) next = head;
+      }
+      if (!next) return;
+      yield next.record;
+      await advance(next);
     }
-    
-    yielded++;
-    yield { lineNum, line };
+  } finally {
+    // Досрочный выход (limit): закрываем чтение всех потоков
+    for (const head of heads) await head.iterator.return();
   }
 }
 
 /**
- * Получает или создаёт кластеризацию для файла
+ * Контрольные точки смещений строк: из памяти или из индекса на диске
+ */
+function getLineCheckpoints(sources) {
+  const key = sources.map(s => s.realPath).join(',');
+  const cached = lineIndexCache.get(key);
+  if (cached && compareSources(cached.sources, sources) !== 'changed') {
+    return cached.checkpoints;
+  }
+  
+  const checkpoints = loadLineIndex(sources);
+  if (!checkpoints) return null;
+  lineIndexCache.set(key, { sources, checkpoints });
+  return checkpoints;
+}
+
+/**
+ * Индекс строк доходит до конца набора: строки не дописывались после его построения
+ * (у gz дописывание не проверяется — смещения в нём распакованные)
+ */
+function indexedToEnd(checkpoints, sources) {
+  const { end } = checkpoints;
+  const last = end ? end.sourceIndex : -1;
+  return sources.every((source, i) => i < last || source.compressed || source.size === 0 ||
+    (i === last && end.offset >= source.size));
+}
+
+/**
+ * Контрольные точки смещений строк; если индекса ещё нет, строит его одним
+ * проходом по строкам (без разбора записей) и сохраняет на диск. Индекс
+ * дописанного набора дочитывается с конца — в копии: исходный объект может
+ * принадлежать результату кластеризации, который дочитывает хвост сам
+ */
+async function ensureLineCheckpoints(sources) {
+  const existing = getLineCheckpoints(sources);
+  if (existing && indexedToEnd(existing, sources)) return existing;
+  
+  const checkpoints = existing ? new LineCheckpoints([...existing.points], existing.end) : new LineCheckpoints();
+  for await (const entry of readLines(sources, { start: checkpoints.resumePosition() })) {
+    checkpoints.observe(entry);
+  }
+  if (!callExpired()) {
+    lineIndexCache.set(sources.map(s => s.realPath).join(','), { sources, checkpoints });
+    saveLineIndex(sources, checkpoints);
+  }
+  return checkpoints;
+}
+
+// Сколько записей после контрольной точки просматривать в поисках метки времени
+const PROBE_RECORDS = 50;
+
+/**
+ * Позиция первой строки потока (из индекса строк: первая строка файла — всегда контрольная точка)
+ */
+async function streamStart(sources, stream) {
+  if (stream.first === 0) return null;
+  const { points } = await ensureLineCheckpoints(sources);
+  const first = points.find(p => p.sourceIndex >= stream.first && p.sourceIndex < stream.end && p.fileLine === 1);
+  // Все файлы потока пусты: позиция за концом потока, строк не будет
+  return first || { sourceIndex: stream.end, offset: 0, lineNum: 1, fileLine: 1 };
+}
+
+/**
+ * Время первой записи с меткой после контрольной точки (в пределах потока)
+ */
+async function firstTimeAfter(sources, format, point, stream) {
+  let seen = 0;
+  for await (const record of readRecords(sources, format, { start: point, stream })) {
+    if (record.timestamp) return record.timestamp.getTime();
+    if (++seen >= PROBE_RECORDS) break;
+  }
+  return null;
+}
+
+/**
+ * Позиция начала окна времени: бинарный поиск по контрольным точкам индекса строк
+ * (набора из одного потока или потока stream)
+ */
+async function seekTimeRange(sources, format, range, stream = null) {
+  if (!isFinite(range.since)) return null;
+  const { points } = await ensureLineCheckpoints(sources);
+  const streamPoints = stream
+    ? points.filter(p => p.sourceIndex >= stream.first && p.sourceIndex < stream.end)
+    : points;
+  const current = stream || listStreams(sources)[0];
+  return findRangeStart(streamPoints, range.since, point => firstTimeAfter(sources, format, point, current));
+}
+
+/**
+ * Время последней записи набора: в каждом потоке дочитывается только хвост
+ * от его последней контрольной точки
+ */
+async function lastTimestamp(sources, format) {
+  const { points } = await ensureLineCheckpoints(sources);
+  let last = null;
+  for (const stream of listStreams(sources)) {
+    const inStream = points.filter(p => p.sourceIndex >= stream.first && p.sourceIndex < stream.end);
+    const start = inStream.length > 0 ? inStream[inStream.length - 1] : null;
+    for await (const record of readRecords(sources, format, { start, stream })) {
+      if (record.timestamp && (last === null || record.timestamp.getTime() > last)) {
+        last = record.timestamp.getTime();
+      }
+    }
+  }
+  return last;
+}
+
+/**
+ * Окно времени инструмента из since/until
+ * @returns {Promise<{since: number, until: number}|{error: string}|null>}
+ */
+async function resolveTimeRange(sources, { since = null, until = null, timestampField = null } = {}) {
+  if (!since && !until) return null;
+  const format = await detectSourceFormat(sources, { timestampField });
+  if (!timestampFormatName(format)) {
+    return { error: 'No timestamp format detected in log file: since/until cannot be applied' };
+  }
+  const logEnd = isRelativeToLogEnd(since) || isRelativeToLogEnd(until)
+    ? await lastTimestamp(sources, format)
+    : null;
+  return parseTimeRange(since, until, { logEnd });
+}
+
+/**
+ * Восстанавливает результат кластеризации из индекса на диске
+ */
+function restoreClustering(stored) {
+  const engine = stored.clusterer.engine || 'lcs';
+  const clusterer = ENGINES[engine].deserialize(stored.clusterer);
+  
+  return {
+    totalLines: stored.totalLines,
+    totalRecords: stored.totalRecords,
+    engine,
+    clusterer,
+    scanStats: stored.scanStats,
+    records: stored.records,
+    checkpoints: stored.checkpoints,
+    tail: stored.tail,
+    sources: stored.sources,
+    format: stored.format,
+    timestampFormat: timestampFormatName(stored.format)
+  };
+}
+
+/**
+ * Прогоняет записи через кластеризатор результата
+ *
+ * start — позиция, с которой читать (для дописанных строк); без неё
+ * читается весь набор. range — только записи окна времени; контрольные точки
+ * при этом не пополняются — окно читается не с начала набора.
  */
-async function getOrCreateClustering(filePath, options = {}) {
-  const { maxClusters = 10, threshold = 0.4, filter = null, forceRefresh = false } = options;
+async function scanRecords(result, sources, options = {}) {
+  const { filter = null, fieldFilter = null, minLevel = null, start = null, range = null } = options;
+  const { clusterer, records, format } = result;
+  const checkpoints = range ? null : result.checkpoints;
+  
+  // Последнюю запись набора могут продолжить дописанные строки (stack trace):
+  // состояние перед ней — точка, с которой дочитывание читает её заново (rewindToTail)
+  const onFinal = range ? null : record => {
+    result.tail = {
+      position: { sourceIndex: record.sourceIndex, offset: record.offset, lineNum: record.lineNum, fileLine: record.fileLine },
+      clusterer: structuredClone(clusterer.serialize()),
+      records: records.mark(),
+      totalLines: result.totalLines,
+      totalRecords: result.totalRecords
+    };
+  };
   
-  const cacheKey = `${filePath}:${maxClusters}:${threshold}:${filter || ''}`;
+  const readOptions = { filter, fieldFilter, minLevel, checkpoints, start, range, onFinal };
+  for await (const record of readRecords(sources, format, readOptions)) {
+    result.totalRecords++;
+    result.totalLines += record.lines.length;
+    
+    const timestamp = record.timestamp;
+    
+    const clusterId = clusterer.add(record.key, timestamp, record.text);
+    records.push(record.lineNum, timestamp ? timestamp.getTime() : NaN, clusterId, levelRank(record.level));
+  }
+  
+  // Прерванный бюджетом времени проход оставляет старый снимок файлов: следующий
+  // вызов увидит набор дописанным и дочитает его с checkpoints.end
+  if (!callExpired()) result.sources = sources;
+}
+
+/**
+ * Откатывает результат к состоянию перед последней записью набора (result.tail):
+ * дочитывание прочитает её заново вместе с дописанными строками-продолжениями
+ * @returns {boolean} false — состояния нет (параллельный проход, старый индекс)
+ *   или выборка записей с тех пор сменила шаг
+ */
+function rewindToTail(result) {
+  const { tail } = result;
+  if (!tail || !result.records.rewind(tail.records)) return false;
+  result.clusterer = ENGINES[result.engine].deserialize(structuredClone(tail.clusterer));
+  result.checkpoints = result.checkpoints.truncate(tail.position);
+  result.totalLines = tail.totalLines;
+  result.totalRecords = tail.totalRecords;
+  result.tail = null;
+  return true;
+}
+
+/**
+ * Начинаются ли дописанные строки с продолжения последней записи
+ */
+async function appendContinuesRecord(result, sources) {
+  for await (const entry of readLines(sources, { start: result.checkpoints.resumePosition() })) {
+    return isContinuationLine(entry.line, formatForSource(result.format, entry.source).timestampPattern);
+  }
+  return false;
+}
+
+/**
+ * Первый проход в воркерах (parallel.js), если набор делится хотя бы на два
+ * диапазона; при ошибке воркера проход повторяется в основном потоке
+ * @returns {Promise<number>} число воркеров; 0 — проход не выполнен
+ */
+async function scanInParallel(result, sources, { filter, fields, minLevel }) {
+  const workers = workerCount();
+  if (workers < 2) return 0;
+  const ranges = planRanges(sources, result.format, workers);
+  if (ranges.length < 2) return 0;
   
-  if (!forceRefresh && fileCache.has(cacheKey)) {
-    return fileCache.get(cacheKey);
+  const { clusterer } = result;
+  try {
+    Object.assign(result, await clusterInParallel(sources, result.format, {
+      Clusterer: ENGINES[result.engine],
+      engine: result.engine,
+      maxClusters: clusterer.maxClusters,
+      threshold: clusterer.threshold,
+      filter,
+      fields,
+      minLevel,
+      maxRecords: result.records.maxRecords,
+      ranges,
+      workers
+    }));
+  } catch (e) {
+    if (e instanceof CancelledError) throw e;
+    console.error(`Parallel clustering failed, scanning sequentially: ${e.message}`);
+    return 0;
   }
+  return Math.min(workers, ranges.length);
+}
+
+/**
+ * Дерево раскрытых кластеров результата (создаётся при первом обращении)
+ */
+function getClusterTree(result) {
+  if (!result.tree) result.tree = new ClusterTree(result);
+  return result.tree;
+}
+
+/**
+ * Записи узла дерева кластеров
+ *
+ * Членство берётся из назначений уровня (records.clusterIds), а не пересчитывается
+ * по похожести; чтение начинается с контрольной точки первой такой записи.
+ *
+ * @param {object} result - результат getOrCreateClustering
+ * @param {Array} sources
+ * @param {{level: object, isMember: Function}} node - результат ClusterTree.resolve
+ */
+async function* clusterRecords(result, sources, { level, isMember }) {
+  const { checkpoints, format } = result;
+  const { lineNums, clusterIds } = level.records;
   
-  const clusterer = new LogClusterer({ maxClusters, threshold });
-  const timestamps = [];
-  let totalLines = 0;
-  let timestampPattern = null;
-  const sampleLines = [];
+  let idx = 0;
+  while (idx < lineNums.length && !isMember(clusterIds[idx])) idx++;
+  if (idx === lineNums.length) return;
   
-  // Первый проход: определяем формат времени из первых 100 строк
-  for await (const { line } of readLines(filePath, { limit: 100, filter })) {
-    sampleLines.push(line);
+  const start = checkpoints.find(lineNums[idx]);
+  for await (const record of readRecords(sources, format, { start })) {
+    while (idx < lineNums.length && lineNums[idx] < record.lineNum) idx++;
+    if (idx === lineNums.length) return;
+    if (lineNums[idx] === record.lineNum && isMember(clusterIds[idx])) yield record;
   }
+}
+
+/**
+ * Сохраняет индекс строк и результат кластеризации на диск
+ */
+function persistClustering(result, sources, paramsKey) {
+  lineIndexCache.set(sources.map(s => s.realPath).join(','), { sources, checkpoints: result.checkpoints });
+  saveLineIndex(sources, result.checkpoints);
+  saveClusteringIndex(sources, paramsKey, {
+    clusterer: result.clusterer.serialize(),
+    totalLines: result.totalLines,
+    totalRecords: result.totalRecords,
+    scanStats: result.scanStats,
+    format: result.format,
+    records: result.records,
+    checkpoints: result.checkpoints,
+    tail: result.tail
+  });
+}
+
+/**
+ * Получает или создаёт кластеризацию для файла
+ *
+ * Порядок: кэш в памяти → индекс на диске → полный проход по файлу
+ * (с сохранением индекса). Если файл с прошлого прохода только дописан,
+ * в существующий кластеризатор дочитываются лишь новые строки.
+ *
+ * minLevel — ранг уровня: кластеризуются только записи не ниже него.
+ * range — кластеризация только окна времени (результат resolveTimeRange).
+ * Такой результат живёт лишь в памяти и пересчитывается при любом изменении файлов;
+ * номера строк в нём сквозные, а контрольные точки — общий индекс строк набора.
+ */
+async function getOrCreateClustering(sources, options = {}) {
+  const {
+    maxClusters = 10,
+    threshold = 0.4,
+    filter = null,
+    fields = null,
+    timestampField = null,
+    engine = 'lcs',
+    minLevel = null,
+    range = null,
+    forceRefresh = false
+  } = options;
+  
+  // Правила маскирования и форматы времени входят в ключ: шаблоны и времена в индексе построены по ним
+  const paramsKey = `${engine}:${maxClusters}:${threshold}:${filter || ''}:${fields || ''}:${timestampField || ''}:` +
+    `${minLevel ?? ''}:` + maskSignature() + `:${timestampSignature()}` + (range ? `:${range.since}:${range.until}` : '');
+  const cacheKey = `${sources.map(s => s.realPath).join(',')}:${paramsKey}`;
   
-  const formatResult = detectTimestampFormat(sampleLines);
-  if (formatResult) {
-    timestampPattern = formatResult.pattern;
+  // Вызовы с тем же ключом ждут один общий проход, иначе хвост дочитается дважды
+  const call = currentCall() || new ToolCall();
+  for (;;) {
+    let entry = scanLocks.get(cacheKey);
+    if (entry?.call.signal.aborted) {
+      // Проход отменён (его покинули все ждавшие), но ещё не остановился
+      await entry.promise.catch(() => {});
+      continue;
+    }
+    if (!entry) {
+      entry = { call: new SharedCall(), result: null, promise: null };
+      entry.call.join(call);
+      entry.promise = runCall(entry.call, () => scan(entry)).finally(() => {
+        if (scanLocks.get(cacheKey) === entry) scanLocks.delete(cacheKey);
+      });
+      // Отказ прохода получают ждущие; без них он не должен стать необработанным
+      entry.promise.catch(() => {});
+      scanLocks.set(cacheKey, entry);
+    }
+    
+    let result;
+    try {
+      result = await awaitScan(entry, call);
+    } catch (e) {
+      // Проход другого вызова отменён — начинаем свой; своя отмена уходит наверх
+      if (e instanceof CancelledError && !call.signal?.aborted) continue;
+      throw e;
+    }
+    if (!entry.call.expired) return result;
+    // Проход прервал срок другого вызова, а у этого время ещё есть — читаем заново
+    if (Date.now() < call.deadline) continue;
+    call.expired = true;
+    return result;
   }
   
-  // Основной проход: кластеризация
-  for await (const { line } of readLines(filePath, { filter })) {
-    totalLines++;
+  async function scan(entry) {
+    const fieldFilter = parseFieldFilter(fields);
+    let result = forceRefresh ? null : fileCache.get(cacheKey);
     
-    let timestamp = null;
-    if (timestampPattern) {
-      timestamp = extractTimestamp(line, timestampPattern);
+    if (range) {
+      if (result && compareSources(result.sources, sources) === 'same') {
+        cacheResult(cacheKey, result);
+        return result;
+      }
+      return scanTimeRange(sources, {
+        maxClusters, threshold, filter, fieldFilter, minLevel, timestampField, engine, range, cacheKey,
+        onStart: started => { entry.result = started; }
+      });
     }
     
-    clusterer.add(line, timestamp);
+    if (!result && !forceRefresh) {
+      const stored = loadClusteringIndex(sources, paramsKey);
+      if (stored) result = restoreClustering(stored);
+    }
     
-    if (timestamp) {
-      timestamps.push(timestamp);
+    if (result) {
+      const change = compareSources(result.sources, sources);
+      
+      if (change === 'same') {
+        cacheResult(cacheKey, result);
+        return result;
+      }
+      
+      // Дописанные строки могут продолжать последнюю запись: она читается заново
+      // с состояния перед ней, а без сохранённого состояния набор читается целиком
+      if (change === 'appended' && (rewindToTail(result) || !await appendContinuesRecord(result, sources))) {
+        // Уровни дерева построены по старому набору записей
+        result.tree = null;
+        entry.result = result;
+        await scanRecords(result, sources, {
+          filter,
+          fieldFilter,
+          minLevel,
+          start: result.checkpoints.resumePosition()
+        });
+        cacheResult(cacheKey, result);
+        if (!callExpired()) persistClustering(result, sources, paramsKey);
+        return result;
+      }
     }
+    
+    // Первый проход: определяем формат строк и времени
+    const format = await detectSourceFormat(sources, { timestampField });
+    result = createClusteringResult(sources, format, {
+      engine, maxClusters, threshold, checkpoints: new LineCheckpoints()
+    });
+    entry.result = result;
+    
+    // Основной проход: кластеризация по записям (stack trace — одна запись)
+    const startedAt = Date.now();
+    const workers = await scanInParallel(result, sources, { filter, fields, minLevel });
+    if (!workers) await scanRecords(result, sources, { filter, fieldFilter, minLevel });
+    result.scanStats = { records: result.totalRecords, durationMs: Date.now() - startedAt, workers: workers || undefined };
+    
+    // Неполный результат (истёк бюджет времени) отдаётся, но не кэшируется
+    if (callExpired()) return result;
+    cacheResult(cacheKey, result);
+    persistClustering(result, sources, paramsKey);
+    return result;
   }
+}
+
+// Срок ждущего вызова наступил раньше, чем закончился общий проход
+const SCAN_EXPIRED = Symbol('scan expired');
+
+/**
+ * Ждёт общий проход со своей отменой и своим бюджетом времени
+ *
+ * Отмена вызова не отменяет проход для остальных ждущих. Если срок вызова
+ * наступил, а проход продолжается ради ждущих с большим бюджетом, вызов отвечает
+ * по копии прочитанного к этому моменту
+ */
+async function awaitScan(entry, call) {
+  const shared = entry.call;
+  shared.join(call);
+  let onAbort = null;
+  let timer = null;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(new CancelledError());
+    if (call.signal?.aborted) onAbort();
+    call.signal?.addEventListener('abort', onAbort, { once: true });
+  });
+  const expired = new Promise(resolve => {
+    if (isFinite(call.deadline)) timer = setTimeout(() => resolve(SCAN_EXPIRED), Math.max(call.deadline - Date.now(), 0));
+  });
   
-  const result = {
-    totalLines,
-    clusterer,
-    timestamps,
-    timestampPattern,
-    timestampFormat: timestampPattern?.name || null
+  try {
+    let result = await Promise.race([entry.promise, aborted, expired]);
+    if (result === SCAN_EXPIRED) {
+      if (shared.deadline > call.deadline && entry.result) {
+        result = snapshotClustering(entry.result);
+        call.expired = true;
+      } else {
+        // Срок прохода — срок этого вызова: проход сам остановится и вернёт прочитанное
+        result = await Promise.race([entry.promise, aborted]);
+      }
+    }
+    call.bytes += shared.bytes;
+    call.lines += shared.lines;
+    return result;
+  } finally {
+    clearTimeout(timer);
+    call.signal?.removeEventListener('abort', onAbort);
+    shared.leave(call);
+  }
+}
+
+/**
+ * Копия результата кластеризации: общий проход продолжает наполнять оригинал
+ */
+function snapshotClustering(result) {
+  return {
+    ...result,
+    clusterer: ENGINES[result.engine].deserialize(structuredClone(result.clusterer.serialize())),
+    records: RecordStore.concat([result.records], { maxRecords: result.records.maxRecords }),
+    checkpoints: new LineCheckpoints([...result.checkpoints.points], result.checkpoints.end),
+    tree: null
   };
-  
+}
+
+/**
+ * Память под записи результата и раскрытых уровней его дерева, байты
+ */
+function resultMemory(result) {
+  let bytes = result.records.byteLength;
+  for (const level of result.tree ? result.tree.levels.values() : []) bytes += level.records.byteLength;
+  return bytes;
+}
+
+/**
+ * Кладёт результат в кэш последним использованным; давно не использованные
+ * результаты вытесняются, пока записи всех результатов не уложатся в бюджет
+ * памяти (LOG_EXPLORER_MEMORY_MB). Вытесненный результат при следующем
+ * обращении восстанавливается из индекса на диске или пересчитывается
+ */
+function cacheResult(cacheKey, result) {
+  fileCache.delete(cacheKey);
   fileCache.set(cacheKey, result);
+  
+  let used = 0;
+  for (const cached of fileCache.values()) used += resultMemory(cached);
+  for (const [key, cached] of fileCache) {
+    if (used <= memoryBudget() || cached === result) break;
+    used -= resultMemory(cached);
+    fileCache.delete(key);
+  }
+}
+
+/**
+ * Пустой результат кластеризации
+ */
+function createClusteringResult(sources, format, { engine, maxClusters, threshold, checkpoints }) {
+  return {
+    totalLines: 0,
+    totalRecords: 0,
+    engine,
+    clusterer: new ENGINES[engine]({ maxClusters, threshold }),
+    scanStats: null,
+    records: new RecordStore({ maxRecords: maxStoredRecords() }),
+    checkpoints,
+    tail: null,
+    sources,
+    format,
+    timestampFormat: timestampFormatName(format)
+  };
+}
+
+/**
+ * Кластеризация окна времени: чтение с контрольной точки перед since до until
+ */
+async function scanTimeRange(sources, options) {
+  const { maxClusters, threshold, filter, fieldFilter, minLevel, timestampField, engine, range, cacheKey, onStart } = options;
+  const format = await detectSourceFormat(sources, { timestampField });
+  const result = createClusteringResult(sources, format, {
+    engine, maxClusters, threshold, checkpoints: await ensureLineCheckpoints(sources)
+  });
+  result.range = range;
+  onStart?.(result);
+  
+  const startedAt = Date.now();
+  await scanRecords(result, sources, { filter, fieldFilter, minLevel, range });
+  result.scanStats = { records: result.totalRecords, durationMs: Date.now() - startedAt };
+  
+  if (!callExpired()) cacheResult(cacheKey, result);
   return result;
 }
 
+const FILE_DESCRIPTION = 'Path to log file (plain or .gz), rotation glob, directory, or a list of them ' +
+  '(e.g. ["/var/log/api.log*", "/var/log/db.log"]): several logs are analyzed together. Not needed with session';
+const FIELDS_DESCRIPTION = 'Optional: field filter for JSON/logfmt logs, e.g. "level=ERROR service=payments"';
+const TIMESTAMP_FIELD_DESCRIPTION = 'Optional: JSON/logfmt field holding the timestamp (auto-detected: ts, time, timestamp, ...)';
+
+const CLUSTER_ID_DESCRIPTION = 'Cluster ID from log_cluster (template hash, stable across calls), ' +
+  '"other" for lines of evicted clusters, or a sub-cluster path from log_cluster_drill, e.g. "67fd9c05.7b341004"';
+
+const FILE_PROPERTY = {
+  type: ['string', 'array'],
+  items: { type: 'string' },
+  description: FILE_DESCRIPTION
+};
+const SINCE_PROPERTY = {
+  type: 'string',
+  description: 'Optional: window start - ISO time, log timestamp, "-15m" (before the last log record) or "now-1h"'
+};
+
+const UNTIL_PROPERTY = {
+  type: 'string',
+  description: 'Optional: window end (exclusive) - same forms as since, or "+10m" (after since)'
+};
+
+const ENGINE_PROPERTY = {
+  type: 'string',
+  enum: ['lcs', 'drain'],
+  description: 'Clustering engine: lcs (pairwise token LCS, best templates) or drain (prefix parse tree, ' +
+    'much faster on millions of lines). Cluster IDs belong to the engine they came from',
+  default: 'lcs'
+};
+const SESSION_PROPERTY = {
+  type: 'string',
+  description: 'Optional: session ID from log_session_open. Its files, filters and clustering parameters ' +
+    'are used for arguments not given, so cluster IDs match across tools of the session'
+};
+const TIME_BUDGET_PROPERTY = {
+  type: 'number',
+  description: 'Optional: seconds to spend reading logs; when they run out the answer is built from what was read ' +
+    'and marked "partial" (default: LOG_EXPLORER_TIME_BUDGET or no limit)'
+};
+const MIN_LEVEL_PROPERTY = {
+  type: 'string',
+  description: 'Optional: only records at this severity or above: trace, debug, info, warn, error, fatal ' +
+    '(also WARNING, ERR, CRITICAL, ...). Records without a detected level are skipped'
+};
+
+// log_list_files: глубина обхода подкаталогов и число файлов по умолчанию
+const LIST_MAX_DEPTH = 4;
+const LIST_FILES_LIMIT = 200;
+
 // Определение инструментов
 const TOOLS = [
   {
     name: 'log_overview',
-    description: 'Get overview of a log file: total lines, time range, detected timestamp format',
+    description: 'Get overview of a log file: total lines, time range, detected timestamp format, line format (text/JSON/logfmt) and fields',
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' }
-      },
-      required: ['file']
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
     }
   },
   {
@@ -139,12 +914,19 @@ const TOOLS = [
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' },
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
         max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 10 },
         threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
-        filter: { type: 'string', description: 'Optional: only cluster lines containing this substring' }
-      },
-      required: ['file']
+        engine: ENGINE_PROPERTY,
+        filter: { type: 'string', description: 'Optional: only cluster lines containing this substring' },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        min_level: MIN_LEVEL_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
     }
   },
   {
@@ -153,11 +935,54 @@ const TOOLS = [
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' },
-        cluster_id: { type: 'number', description: 'ID of cluster to drill into' },
-        max_subclusters: { type: 'number', description: 'Maximum sub-clusters', default: 5 }
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        cluster_id: { type: 'string', description: CLUSTER_ID_DESCRIPTION },
+        max_subclusters: { type: 'number', description: 'Maximum sub-clusters (2-20)', default: 5 },
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      },
+      required: ['cluster_id']
+    }
+  },
+  {
+    name: 'log_cluster_params',
+    description: 'Values behind each slot (.*, <NUM>, <IP>, ...) of a cluster template: cardinality, top values, ' +
+      'numeric min/max/mean/percentiles. Use after log_cluster to see which users, hosts or latencies vary.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        cluster_id: { type: 'string', description: CLUSTER_ID_DESCRIPTION },
+        top: { type: 'number', description: 'Top values per slot (1-50)', default: 10 },
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
       },
-      required: ['file', 'cluster_id']
+      required: ['cluster_id']
+    }
+  },
+  {
+    name: 'log_cluster_tree',
+    description: 'Whole explored cluster hierarchy with counts: top-level clusters and every sub-cluster ' +
+      'created by log_cluster_drill. IDs are paths like "67fd9c05.7b341004" accepted by all cluster_id parameters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
     }
   },
   {
@@ -166,11 +991,121 @@ const TOOLS = [
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' },
-        cluster_id: { type: 'number', description: 'Optional: specific cluster ID' },
-        bucket_size: { type: 'string', description: 'Bucket size: auto, minute, hour, day', default: 'auto' }
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        cluster_id: { type: 'string', description: 'Optional: ' + CLUSTER_ID_DESCRIPTION },
+        bucket_size: { type: 'string', description: 'Bucket size: auto, minute, hour, day', default: 'auto' },
+        engine: ENGINE_PROPERTY,
+        min_level: MIN_LEVEL_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_anomalies',
+    description: 'Rank clusters by how abnormal their timeline is: spikes, drops and silences against a robust ' +
+      'median/MAD baseline, level shifts (e.g. 100/hour to 5000/hour), clusters first or last seen mid-log. ' +
+      'Daily seasonality is taken into account when the log spans two days or more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        bucket_size: { type: 'string', description: 'Bucket size: auto (about 60 buckets), minute, hour, day', default: 'auto' },
+        max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 10 },
+        threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
+        engine: ENGINE_PROPERTY,
+        sensitivity: { type: 'number', description: 'Robust z-score threshold for spikes and drops (lower = more events)', default: 3.5 },
+        top: { type: 'number', description: 'Max clusters to return (1-50)', default: 10 },
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_correlate',
+    description: 'Root-cause hints: lagged correlation between the timeline of a target cluster and every other ' +
+      'cluster on a shared bucket grid. Returns clusters that lead it (rise before it), move with it, or follow it, with the lag.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        cluster_id: { type: 'string', description: 'Target cluster. ' + CLUSTER_ID_DESCRIPTION },
+        bucket_size: { type: 'string', description: 'Bucket size: auto (about 60 buckets), minute, hour, day', default: 'auto' },
+        max_lag: { type: 'number', description: 'Largest shift to try, in buckets (0-20)', default: 5 },
+        min_correlation: { type: 'number', description: 'Minimum correlation to report (0.0-1.0)', default: 0.3 },
+        top: { type: 'number', description: 'Max clusters per section (leading, concurrent, following)', default: 5 },
+        max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 10 },
+        threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
       },
-      required: ['file']
+      required: ['cluster_id']
+    }
+  },
+  {
+    name: 'log_trace',
+    description: 'Follow one request end to end: every record carrying the given ID (request_id, trace_id, thread name) ' +
+      'across all files, in time order, with cluster labels and time between steps. Without trace_id, summarizes ' +
+      'the traces of a cluster: the slowest ones and the ones that failed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        trace_id: { type: 'string', description: 'ID to follow, e.g. "req-4f2a"' },
+        cluster_id: {
+          type: 'string',
+          description: 'Without trace_id: summarize traces whose ID appears in this cluster. ' + CLUSTER_ID_DESCRIPTION
+        },
+        id_pattern: {
+          type: 'string',
+          description: 'Optional: regex extracting the ID (named group "id" or first group), e.g. "\\[(pool-\\d+-thread-\\d+)\\]". ' +
+            'Default: request_id/trace_id/correlation_id fields and key=value pairs'
+        },
+        limit: { type: 'number', description: 'Max steps returned for trace_id', default: 200 },
+        top: { type: 'number', description: 'Max traces per summary section (slowest, failed)', default: 5 },
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_diff',
+    description: 'Compare two log files, or two time windows of one file: clusters that are new, vanished, ' +
+      'or whose rate changed significantly, with examples. Use for "what is different from yesterday / the last good deploy".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: { ...FILE_PROPERTY, description: 'Baseline log: ' + FILE_DESCRIPTION },
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        compare_file: { ...FILE_PROPERTY, description: 'Optional: log (or logs) to compare against the baseline' },
+        baseline_since: { type: 'string', description: 'Optional: baseline window start (same forms as since)' },
+        baseline_until: { type: 'string', description: 'Optional: baseline window end (exclusive)' },
+        compare_since: { type: 'string', description: 'Optional: compared window start' },
+        compare_until: { type: 'string', description: 'Optional: compared window end (exclusive)' },
+        max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 20 },
+        threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
+        engine: ENGINE_PROPERTY,
+        change_ratio: { type: 'number', description: 'Rate ratio that counts as a significant change', default: 2 },
+        top: { type: 'number', description: 'Max clusters per section (new, vanished, changed)', default: 10 },
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
     }
   },
   {
@@ -179,12 +1114,17 @@ const TOOLS = [
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' },
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
         pattern: { type: 'string', description: 'Search pattern (substring or /regex/)' },
         max_examples: { type: 'number', description: 'Max examples to return', default: 5 },
-        context_lines: { type: 'number', description: 'Context lines around match', default: 0 }
+        context_lines: { type: 'number', description: 'Context lines around match', default: 0 },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY
       },
-      required: ['file', 'pattern']
+      required: ['pattern']
     }
   },
   {
@@ -193,107 +1133,443 @@ const TOOLS = [
     inputSchema: {
       type: 'object',
       properties: {
-        file: { type: 'string', description: 'Path to log file' },
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
         filter: { type: 'string', description: 'Filter pattern' },
         offset: { type: 'number', description: 'Skip first N matching lines', default: 0 },
-        limit: { type: 'number', description: 'Max lines to return', default: 100 }
+        limit: { type: 'number', description: 'Max lines to return', default: 100 },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        cluster_id: { type: 'string', description: 'Optional: only records of this cluster. ' + CLUSTER_ID_DESCRIPTION },
+        engine: ENGINE_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_tail',
+    description: 'Get records appended to a growing log since a cursor, labeled with cluster IDs. Only new bytes are read and clustered. Without cursor returns the last records; pass the returned cursor on the next call to poll.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        cursor: { type: 'string', description: 'Cursor from a previous log_tail call' },
+        limit: { type: 'number', description: 'Max records to return', default: 100 },
+        max_clusters: { type: 'number', description: 'Clustering used for labels (same as log_cluster)', default: 10 },
+        threshold: { type: 'number', description: 'Similarity threshold (same as log_cluster)', default: 0.4 },
+        engine: ENGINE_PROPERTY,
+        filter: { type: 'string', description: 'Optional: only records containing this substring (same as log_cluster)' },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        min_level: MIN_LEVEL_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_report',
+    description: 'Write a self-contained incident report (Markdown or HTML) to a file: file stats, cluster table ' +
+      'with templates, per-cluster timelines (ASCII, or inline SVG in HTML), anomalies and example lines.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: SESSION_PROPERTY,
+        time_budget: TIME_BUDGET_PROPERTY,
+        path: { type: 'string', description: 'Where to write the report, e.g. "/tmp/incident.html"' },
+        overwrite: { type: 'boolean', description: 'Replace an existing file at path (never one of the analyzed logs)', default: false },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'html'],
+          description: 'Report format (default: html for .html/.htm paths, otherwise markdown)'
+        },
+        title: { type: 'string', description: 'Optional: report title' },
+        max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 10 },
+        threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
+        engine: ENGINE_PROPERTY,
+        filter: { type: 'string', description: 'Optional: only cluster lines containing this substring' },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        min_level: MIN_LEVEL_PROPERTY,
+        bucket_size: { type: 'string', description: 'Timeline bucket size: auto, minute, hour, day', default: 'auto' },
+        timelines: { type: 'number', description: 'Clusters with a timeline: anomalous first, then the largest (0-20)', default: 5 },
+        examples: { type: 'number', description: 'Example lines per cluster (0-5)', default: 3 },
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'log_list_files',
+    description: 'List log files the server is allowed to read: path, size, modification time and detected line format ' +
+      'and timestamp format. Use to discover files before passing them to other tools.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Optional: directory to list (default: all allowed directories)' },
+        pattern: { type: 'string', description: 'Optional: glob on file names, e.g. "*.log" or "app.log*"' },
+        recursive: { type: 'boolean', description: `List subdirectories (up to ${LIST_MAX_DEPTH} levels deep)`, default: true },
+        limit: { type: 'number', description: 'Max files to return', default: LIST_FILES_LIMIT }
+      }
+    }
+  },
+  {
+    name: 'log_session_open',
+    description: 'Start a named analysis session pinning files, filters and clustering parameters, or reopen a saved one ' +
+      'by its ID (with its notes and bookmarks). Pass the returned session ID to other tools instead of file and parameters.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        file: FILE_PROPERTY,
+        session: { type: 'string', description: 'Optional: ID of a saved session to reopen. Parameters given here re-pin it' },
+        name: { type: 'string', description: 'Optional: session name, e.g. "checkout 502s on 2024-01-15"' },
+        engine: ENGINE_PROPERTY,
+        max_clusters: { type: 'number', description: 'Maximum number of clusters (2-20)', default: 10 },
+        threshold: { type: 'number', description: 'Similarity threshold (0.0-1.0)', default: 0.4 },
+        filter: { type: 'string', description: 'Optional: only lines containing this substring' },
+        fields: { type: 'string', description: FIELDS_DESCRIPTION },
+        min_level: MIN_LEVEL_PROPERTY,
+        since: SINCE_PROPERTY,
+        until: UNTIL_PROPERTY,
+        timestamp_field: { type: 'string', description: TIMESTAMP_FIELD_DESCRIPTION }
+      }
+    }
+  },
+  {
+    name: 'log_session_note',
+    description: 'Attach a note or a bookmark to a session: free text, or tied to a cluster or a line range ' +
+      '(a bookmark keeps the cluster template or the first lines of the range).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: { type: 'string', description: 'Session ID from log_session_open' },
+        text: { type: 'string', description: 'Note text (optional for bookmarks)' },
+        kind: { type: 'string', enum: ['note', 'bookmark'], description: 'note or bookmark (needs cluster_id or line_start)', default: 'note' },
+        cluster_id: { type: 'string', description: 'Optional: ' + CLUSTER_ID_DESCRIPTION },
+        line_start: { type: 'number', description: 'Optional: first line of the range (line_num from log_fetch / log_grep)' },
+        line_end: { type: 'number', description: 'Optional: last line of the range (default: line_start)' }
       },
-      required: ['file']
+      required: ['session']
+    }
+  },
+  {
+    name: 'log_session_list',
+    description: 'List saved analysis sessions, most recently updated first',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'log_session_export',
+    description: 'Export a session as a JSON or Markdown report: files, pinned parameters, current clusters, bookmarks ' +
+      'and notes. Use to hand an investigation over or to resume it later.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: { type: 'string', description: 'Session ID from log_session_open' },
+        format: { type: 'string', enum: ['json', 'markdown'], description: 'Report format', default: 'markdown' },
+        clusters: { type: 'boolean', description: 'Include the cluster table (runs log_cluster with session parameters)', default: true }
+      },
+      required: ['session']
     }
   }
 ];
 
 // Обработчики инструментов
-async function handleLogOverview({ file }) {
-  if (!existsSync(file)) {
+async function handleLogOverview({ file, since = null, until = null, timestamp_field = null }) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
   
-  const stats = statSync(file);
-  const { totalLines, timestamps, timestampFormat } = await getOrCreateClustering(file);
+  const sizeBytes = sources.reduce((sum, s) => sum + s.size, 0);
+  const { totalLines, totalRecords, format, timestampFormat, records } = await getOrCreateClustering(sources, {
+    timestampField: timestamp_field,
+    range
+  });
+  // Границы времени и уровни — точные агрегаты по всем записям, даже при выборке
+  const levels = levelBreakdown(records.levelCounts);
   
   let timeRange = null;
-  if (timestamps.length > 0) {
-    const sorted = timestamps.sort((a, b) => a - b);
+  if (records.timedTotal > 0) {
     timeRange = {
-      start: sorted[0].toISOString(),
-      end: sorted[sorted.length - 1].toISOString(),
-      duration: `${Math.round((sorted[sorted.length - 1] - sorted[0]) / 1000 / 60)} minutes`
+      start: new Date(records.firstTime).toISOString(),
+      end: new Date(records.lastTime).toISOString(),
+      duration: `${Math.round((records.lastTime - records.firstTime) / 1000 / 60)} minutes`
     };
   }
   
+  // Потоки набора из нескольких логов со своими форматами
+  const streams = listStreams(sources);
+  const streamInfo = streams.length > 1
+    ? streams.map(stream => ({
+      name: stream.name,
+      files: stream.end - stream.first,
+      log_format: format.streams[stream.index].logFormat,
+      timestamp_format: timestampFormatName(format.streams[stream.index])
+    }))
+    : undefined;
+  
   return {
     file,
-    size_bytes: stats.size,
-    size_human: formatBytes(stats.size),
+    files: sources.length > 1
+      ? sources.map(s => ({ path: s.path, size_bytes: s.size, compressed: s.compressed }))
+      : undefined,
+    streams: streamInfo,
+    size_bytes: sizeBytes,
+    size_human: formatBytes(sizeBytes),
     total_lines: totalLines,
+    total_records: totalRecords,
     timestamp_format: timestampFormat,
-    time_range: timeRange
+    log_format: format.logFormat,
+    message_field: format.messageField || undefined,
+    fields: format.fieldNames.length > 0 ? format.fieldNames : undefined,
+    levels: Object.keys(levels).some(level => level !== 'unknown') ? levels : undefined,
+    window: describeTimeRange(range),
+    time_range: timeRange,
+    sampling: samplingInfo(records)
   };
 }
 
-async function handleLogCluster({ file, max_clusters = 10, threshold = 0.4, filter = null }) {
-  if (!existsSync(file)) {
+/**
+ * Описание выборки записей для ответа инструмента
+ * @param {RecordStore} records
+ * @param {string} [estimated] - какие значения ответа оценены по выборке
+ * @returns {object|undefined} undefined — хранятся все записи
+ */
+function samplingInfo(records, estimated) {
+  const sampling = records.describeSampling();
+  return sampling ? { ...sampling, estimated } : undefined;
+}
+
+/**
+ * Сколько записей лога представляет одна запись уровня дерева: шаг выборки
+ * уровня, умноженный на вес записей, по которым уровень построен
+ */
+function recordWeight(level) {
+  return (level.weight || 1) * level.records.stride;
+}
+
+/**
+ * Индекс потока каждой записи результата: номер строки → файл по контрольным
+ * точкам первых строк файлов
+ * @returns {Array<{name: string}>|null} null — в наборе один поток
+ */
+function recordStreams(result, sources) {
+  const streams = listStreams(sources);
+  if (streams.length <= 1) return null;
+  
+  const fileStarts = result.checkpoints.points.filter(p => p.fileLine === 1);
+  const startLines = fileStarts.map(p => p.lineNum);
+  // Array.from: map типизированного массива записал бы имена потоков как числа
+  return Array.from(result.records.lineNums, lineNum => {
+    const idx = upperBound(startLines, lineNum) - 1;
+    return idx >= 0 ? sources[fileStarts[idx].sourceIndex].streamName : streams[0].name;
+  });
+}
+
+/**
+ * Количества записей кластеров корневого уровня по потокам набора
+ * @returns {{streams: string[], byCluster: Map<string, object>}|null}
+ */
+function clusterStreamCounts(result, sources) {
+  const recordStream = recordStreams(result, sources);
+  if (!recordStream) return null;
+  
+  // При выборке каждая хранимая запись представляет stride записей лога
+  const { clusterIds, stride } = result.records;
+  const byCluster = new Map();
+  recordStream.forEach((name, i) => {
+    const id = result.clusterer.resolve(clusterIds[i]).stableId;
+    if (!byCluster.has(id)) byCluster.set(id, {});
+    const counts = byCluster.get(id);
+    counts[name] = (counts[name] || 0) + stride;
+  });
+  return { streams: listStreams(sources).map(s => s.name), byCluster };
+}
+
+/**
+ * Количества записей кластеров корневого уровня по рангам уровней
+ * @returns {Map<string, number[]>}
+ */
+function clusterLevelCounts(result) {
+  const { clusterer } = result;
+  const { clusterIds, levels } = result.records;
+  const byCluster = new Map();
+  for (let i = 0; i < clusterIds.length; i++) {
+    if (levels[i] < 0) continue;
+    const id = clusterer.resolve(clusterIds[i]).stableId;
+    if (!byCluster.has(id)) byCluster.set(id, new Array(LEVELS.length).fill(0));
+    byCluster.get(id)[levels[i]]++;
+  }
+  return byCluster;
+}
+
+/**
+ * Ранг min_level из параметра инструмента
+ * @returns {number|null|{error: string}} null — фильтр не задан
+ */
+function resolveMinLevel(minLevel) {
+  if (minLevel === null || minLevel === undefined || minLevel === '') return null;
+  const level = normalizeLevel(String(minLevel));
+  if (!level) {
+    return { error: `Unknown min_level: ${minLevel}. Use one of: ${LEVELS.join(', ')}` };
+  }
+  return levelRank(level);
+}
+
+async function handleLogCluster({
+  file, max_clusters = 10, threshold = 0.4, engine = 'lcs', filter = null, fields = null, min_level = null,
+  since = null, until = null, timestamp_field = null
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
   
-  const { totalLines, clusterer } = await getOrCreateClustering(file, {
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const minLevel = resolveMinLevel(min_level);
+  if (minLevel?.error) return minLevel;
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  const result = await getOrCreateClustering(sources, {
     maxClusters: Math.min(Math.max(max_clusters, 2), 20),
     threshold: Math.min(Math.max(threshold, 0.1), 0.9),
-    filter
+    engine,
+    filter,
+    fields,
+    minLevel,
+    timestampField: timestamp_field,
+    range
   });
+  const { totalLines, totalRecords, clusterer, scanStats } = result;
   
   const stats = clusterer.getStats();
+  const levelCounts = clusterLevelCounts(result);
+  
+  // Набор из нескольких логов: сколько записей кластера в каждом и есть ли он только в одном
+  const streamCounts = clusterStreamCounts(result, sources);
+  const perSource = id => {
+    if (!streamCounts) return {};
+    const counts = streamCounts.byCluster.get(id) || {};
+    const names = Object.keys(counts);
+    return { sources: counts, only_in: names.length === 1 ? names[0] : undefined };
+  };
+  let sourceTotals;
+  if (streamCounts) {
+    sourceTotals = Object.fromEntries(streamCounts.streams.map(name => [name, 0]));
+    for (const counts of streamCounts.byCluster.values()) {
+      for (const [name, count] of Object.entries(counts)) sourceTotals[name] += count;
+    }
+  }
   
   return {
     total_lines: totalLines,
-    cluster_count: stats.length,
+    total_records: totalRecords,
+    engine,
+    throughput: scanStats ? {
+      records: scanStats.records,
+      duration_ms: scanStats.durationMs,
+      records_per_sec: Math.round(scanStats.records / Math.max(scanStats.durationMs, 1) * 1000),
+      workers: scanStats.workers
+    } : null,
+    cluster_count: stats.filter(c => c.id !== OTHER_CLUSTER_ID).length,
     filter: filter || null,
+    fields: fields || undefined,
+    min_level: minLevel !== null ? LEVELS[minLevel] : undefined,
+    window: describeTimeRange(range),
+    sampling: samplingInfo(result.records, 'per-source counts and dominant levels'),
+    sources: sourceTotals,
     clusters: stats.map(c => ({
       id: c.id,
       count: c.count,
       percent: c.percent + '%',
       template: c.template,
+      level: levelCounts.has(c.id) ? dominantLevel(levelCounts.get(c.id)) : undefined,
+      ...perSource(c.id),
+      evicted_clusters: c.evicted_clusters,
       examples: c.examples.slice(0, 3)
     }))
   };
 }
 
-async function handleLogClusterDrill({ file, cluster_id, max_subclusters = 5 }) {
-  if (!existsSync(file)) {
+async function handleLogClusterDrill({
+  file, cluster_id, max_subclusters = 5, engine = 'lcs', since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
   
-  const { clusterer } = await getOrCreateClustering(file);
-  const parentCluster = clusterer.getCluster(cluster_id);
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
   
-  if (!parentCluster) {
-    return { error: `Cluster ${cluster_id} not found. Run log_cluster first.` };
+  const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+  const tree = getClusterTree(result);
+  const parent = tree.resolve(cluster_id);
+  if (parent.error) return parent;
+  if (parent.cluster.count === 0) {
+    return { error: `Cluster ${parent.path} has no records: nothing to drill` };
   }
   
-  // Создаём субкластеризатор
-  const subClusterer = new LogClusterer({
-    maxClusters: max_subclusters,
-    threshold: 0.5 // Более строгий порог для детализации
-  });
+  const maxSubclusters = Math.min(Math.max(max_subclusters, 2), 20);
   
-  // Перечитываем файл, фильтруя по шаблону родительского кластера
-  for await (const { line } of readLines(file)) {
-    if (parentCluster.similarity(line) >= 0.4) {
-      subClusterer.add(line);
+  // Уровень уже раскрыт с теми же параметрами — отдаём его без перечитывания
+  let level = tree.getLevel(parent.path);
+  if (!level || level.maxClusters !== maxSubclusters) {
+    level = {
+      maxClusters: maxSubclusters,
+      clusterer: new ENGINES[engine]({
+        maxClusters: maxSubclusters,
+        threshold: 0.5 // Более строгий порог для детализации
+      }),
+      records: new RecordStore({ maxRecords: maxStoredRecords() }),
+      // Подкластеры строятся по хранимым записям родителя — при выборке их количества масштабируются
+      weight: recordWeight(parent.level)
+    };
+    
+    // Перечитываем только записи, отнесённые к родительскому кластеру
+    for await (const record of clusterRecords(result, sources, parent)) {
+      const subId = level.clusterer.add(record.key, record.timestamp, record.text);
+      level.records.push(record.lineNum, record.timestamp ? record.timestamp.getTime() : NaN, subId, levelRank(record.level));
+    }
+    if (!callExpired()) {
+      // Пустой уровень не сохраняется и не попадает в drilled_nodes
+      if (level.records.total === 0) return { error: `Cluster ${parent.path} has no records: nothing to drill` };
+      tree.setLevel(parent.path, level);
     }
   }
   
-  const stats = subClusterer.getStats();
+  const stats = level.clusterer.getStats();
+  const { weight } = level;
   
   return {
-    parent_cluster_id: cluster_id,
-    parent_template: parentCluster.template,
-    parent_count: parentCluster.count,
-    subcluster_count: stats.length,
+    parent_cluster_id: parent.path,
+    parent_template: parent.cluster.template,
+    parent_count: parent.cluster.count * (parent.level.weight || 1),
+    subcluster_count: stats.filter(c => c.id !== OTHER_CLUSTER_ID).length,
+    sampling: weight > 1
+      ? { every: weight, sampled_records: level.records.total, estimated: 'subcluster counts (margin: 95% bound)' }
+      : undefined,
     subclusters: stats.map(c => ({
-      id: c.id,
-      count: c.count,
+      id: `${parent.path}.${c.id}`,
+      count: c.count * weight,
+      margin: weight > 1 ? samplingMargin(c.count, weight) : undefined,
       percent: c.percent + '%',
       template: c.template,
       examples: c.examples.slice(0, 2)
@@ -301,86 +1577,802 @@ async function handleLogClusterDrill({ file, cluster_id, max_subclusters = 5 })
   };
 }
 
-async function handleLogTimeline({ file, cluster_id = null, bucket_size = 'auto' }) {
-  if (!existsSync(file)) {
+async function handleLogClusterParams({
+  file, cluster_id, top = 10, engine = 'lcs', since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+  const node = getClusterTree(result).resolve(cluster_id);
+  if (node.error) return node;
+  
+  const { cluster } = node;
+  if (cluster.id === OTHER_CLUSTER_ID) {
+    return { error: 'The "other" bucket has no template. Use log_cluster_drill to split it.' };
+  }
+  
+  // Значения берём из исходного ключа записи: шаблон построен по ключам
+  const params = new TemplateParams(cluster.template, { isSensitive: containsSecret });
+  for await (const record of clusterRecords(result, sources, node)) {
+    params.add(record.key);
+  }
+  
+  const weight = recordWeight(node.level);
+  return {
+    cluster_id: node.path,
+    template: cluster.template,
+    count: cluster.count * (node.level.weight || 1),
+    sampling: weight > 1 ? { every: weight, note: 'parameter values are collected from sampled records' } : undefined,
+    ...params.toJSON(Math.min(Math.max(top, 1), 50))
+  };
+}
+
+async function handleLogClusterTree({
+  file, engine = 'lcs', since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+  const tree = getClusterTree(result);
+  
+  return {
+    total_records: result.totalRecords,
+    window: describeTimeRange(range),
+    drilled_nodes: [...tree.levels.keys()],
+    clusters: tree.toJSON()
+  };
+}
+
+async function handleLogTimeline({
+  file, cluster_id = null, bucket_size = 'auto', engine = 'lcs', min_level = null,
+  since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const minLevel = resolveMinLevel(min_level);
+  if (minLevel?.error) return minLevel;
   
-  const { timestamps, clusterer, timestampPattern } = await getOrCreateClustering(file);
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
   
-  if (!timestampPattern) {
+  const result = await getOrCreateClustering(sources, {
+    ...clustering,
+    engine,
+    timestampField: timestamp_field,
+    range
+  });
+  const { timestampFormat } = result;
+  
+  if (!timestampFormat) {
     return { error: 'No timestamp format detected in log file' };
   }
   
-  let filteredTimestamps = timestamps;
   let clusterInfo = null;
+  let node = null;
+  
+  if (cluster_id !== null) {
+    node = getClusterTree(result).resolve(cluster_id);
+    if (node.error) return node;
+    clusterInfo = { id: node.path, template: node.cluster.template };
+  }
+  
+  // Времена записей кластера и уровня — из назначений уровня дерева, без перечитывания файла
+  const records = node ? node.level.records : result.records;
+  const { times, clusterIds, levels } = records;
+  const selected = i => !isNaN(times[i]) &&
+    (!node || node.isMember(clusterIds[i])) &&
+    (minLevel === null || levels[i] >= minLevel);
+  function* selectedTimes() {
+    for (let i = 0; i < times.length; i++) {
+      if (selected(i)) yield times[i];
+    }
+  }
+  
+  // Без фильтров границы и количество — точные агрегаты; иначе — проход по выборке
+  let grid = null;
+  let sampledCount = 0;
+  if (!node && minLevel === null) {
+    grid = recordsGrid(records);
+    for (let i = 0; i < times.length; i++) {
+      if (!isNaN(times[i])) sampledCount++;
+    }
+  } else {
+    grid = { start: Infinity, end: -Infinity };
+    for (const time of selectedTimes()) {
+      sampledCount++;
+      grid.start = Math.min(grid.start, time);
+      grid.end = Math.max(grid.end, time);
+    }
+  }
+  
+  if (sampledCount === 0) {
+    return { error: 'No timestamps found', cluster: clusterInfo };
+  }
+  
+  const scale = node ? recordWeight(node.level) : records.stride;
+  const bucket = resolveBucket(bucket_size, new Date(grid.start), new Date(grid.end));
+  
+  // Всплески, провалы и смены уровня относительно медианы ряда выборки
+  const sampledHistogram = buildHistogram(selectedTimes(), bucket, grid);
+  const histogram = sampledHistogram.map(h => ({ ...h, count: h.count * scale }));
+  const ascii = formatHistogram(histogram);
+  const analysis = analyzeSeries(sampledHistogram.map(h => h.count), {
+    coverage: bucketCoverage(histogram, grid, bucket),
+    period: dailyPeriod(bucket.size)
+  });
+  const anomalies = analysis.events.map(e => formatAnomalyEvent(e, histogram, scale));
+  
+  return {
+    cluster: clusterInfo,
+    min_level: minLevel !== null ? LEVELS[minLevel] : undefined,
+    bucket_size: bucket.unit,
+    window: describeTimeRange(range),
+    sampling: scale > 1
+      ? { every: scale, sampled_entries: sampledCount, estimated: 'entry and bucket counts (margin: 95% bound)' }
+      : undefined,
+    total_entries: node || minLevel !== null ? sampledCount * scale : records.timedTotal,
+    margin: scale > 1 && (node || minLevel !== null) ? samplingMargin(sampledCount, scale) : undefined,
+    time_range: {
+      start: new Date(grid.start).toISOString(),
+      end: new Date(grid.end).toISOString()
+    },
+    histogram_ascii: ascii,
+    anomalies: anomalies.length > 0 ? anomalies : null
+  };
+}
+
+/**
+ * Размер bucket'а: auto — "красивый" размер на targetBuckets bucket'ов, иначе minute/hour/day
+ */
+function resolveBucket(bucketSize, first, last, targetBuckets = 20) {
+  if (bucketSize === 'auto') {
+    return calculateBucketSize(first, last, targetBuckets);
+  }
+  const sizes = {
+    minute: { size: 60 * 1000, unit: 'minute' },
+    hour: { size: 60 * 60 * 1000, unit: 'hour' },
+    day: { size: 24 * 60 * 60 * 1000, unit: 'day' }
+  };
+  return sizes[bucketSize] || sizes.hour;
+}
+
+/**
+ * Доля каждого bucket'а внутри диапазона данных: первый и последний bucket неполные,
+ * и меньшее количество в них — не провал
+ */
+function bucketCoverage(histogram, grid, bucket) {
+  return histogram.map(h => {
+    const covered = Math.min(grid.end + 1, h.end.getTime()) - Math.max(grid.start, h.start.getTime());
+    return Math.min(Math.max(covered / bucket.size, 0), 1);
+  });
+}
+
+/**
+ * Событие analyzeSeries/lifecycleEvents для ответа: индексы bucket'ов — во время
+ *
+ * Ряды при выборке записей анализируются в количествах выборки (порог Пуассона
+ * верен только для них); scale — шаг выборки, в ответе количества лога с 95% погрешностью
+ */
+function formatAnomalyEvent(event, histogram, scale = 1) {
+  const round = value => Math.round(value * scale * 10) / 10;
+  if (event.time !== undefined) {
+    return { type: event.type, time: new Date(event.time).toISOString(), score: Math.round(event.score * 10) / 10 };
+  }
+  if (event.type === 'level_shift') {
+    return {
+      type: event.type,
+      time: histogram[event.index].start.toISOString(),
+      before_per_bucket: round(event.before),
+      after_per_bucket: round(event.after),
+      score: Math.round(event.score * 10) / 10
+    };
+  }
+  return {
+    type: event.type,
+    time: histogram[event.index].start.toISOString(),
+    until: histogram[event.endIndex].end.toISOString(),
+    count: event.count * scale,
+    margin: scale > 1 ? samplingMargin(event.count, scale) : undefined,
+    expected: round(event.expected),
+    score: Math.round(event.score * 10) / 10
+  };
+}
+
+/**
+ * Общая сетка bucket'ов рядов результата: точные границы времени всех записей
+ * @returns {{start: number, end: number}|null} null — записей со временем нет
+ */
+function recordsGrid(records) {
+  return records.timedTotal > 0 ? { start: records.firstTime, end: records.lastTime } : null;
+}
+
+/**
+ * Границы времени кластера корневого уровня по стабильному ID: точные
+ * firstSeen/lastSeen кластеров с этим шаблоном, даже при выборке записей
+ */
+function clusterBounds(clusterer, id) {
+  const members = id === OTHER_CLUSTER_ID ? [clusterer.other] : clusterer.clusters.filter(c => c.stableId === id);
+  let first = Infinity;
+  let last = -Infinity;
+  for (const c of members) {
+    if (c.firstSeen !== null) first = Math.min(first, c.firstSeen);
+    if (c.lastSeen !== null) last = Math.max(last, c.lastSeen);
+  }
+  return { first, last };
+}
+
+/**
+ * Ряды количеств хранимых записей по стабильным ID кластеров корневого уровня
+ * на общей сетке bucket'ов — один проход по столбцам записей, без Date на запись
+ * @returns {{overall: number[], byCluster: Map<string, number[]>, sampled: Map<string, number>}}
+ *   sampled — записей со временем у кластера в выборке
+ */
+function clusterSeries(result, bucket, grid) {
+  const { clusterer } = result;
+  const { times, clusterIds } = result.records;
+  const firstStart = Math.floor(grid.start / bucket.size) * bucket.size;
+  const size = Math.floor((grid.end - firstStart) / bucket.size) + 1;
+  const overall = new Array(size).fill(0);
+  const byCluster = new Map();
+  const sampled = new Map();
+  // Внутренний ID → стабильный: resolve ищет по списку кластеров
+  const stableIds = new Map();
+  
+  for (let i = 0; i < times.length; i++) {
+    const time = times[i];
+    if (isNaN(time)) continue;
+    let id = stableIds.get(clusterIds[i]);
+    if (id === undefined) {
+      id = clusterer.resolve(clusterIds[i]).stableId;
+      stableIds.set(clusterIds[i], id);
+    }
+    if (!byCluster.has(id)) {
+      byCluster.set(id, new Array(size).fill(0));
+      sampled.set(id, 0);
+    }
+    const idx = Math.floor((time - firstStart) / bucket.size);
+    byCluster.get(id)[idx]++;
+    overall[idx]++;
+    sampled.set(id, sampled.get(id) + 1);
+  }
+  return { overall, byCluster, sampled };
+}
+
+/**
+ * Гистограмма из ряда количеств на сетке buildHistogram
+ */
+function seriesHistogram(counts, bucket, grid, scale = 1) {
+  return buildHistogram([], bucket, grid).map((h, i) => ({ ...h, count: counts[i] * scale }));
+}
+
+async function handleLogAnomalies({
+  file, bucket_size = 'auto', max_clusters = 10, threshold = 0.4, engine = 'lcs', sensitivity = 3.5, top = 10,
+  since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  const result = await getOrCreateClustering(sources, {
+    ...clustering,
+    maxClusters: Math.min(Math.max(max_clusters, 2), 20),
+    threshold: Math.min(Math.max(threshold, 0.1), 0.9),
+    engine,
+    timestampField: timestamp_field,
+    range
+  });
+  if (!result.timestampFormat) {
+    return { error: 'No timestamp format detected in log file' };
+  }
+  
+  const { clusterer, records } = result;
+  const grid = recordsGrid(records);
+  if (!grid) {
+    return { error: 'No timestamps found' };
+  }
+  
+  // Все ряды строятся на общей сетке bucket'ов
+  const bucket = resolveBucket(bucket_size, new Date(grid.start), new Date(grid.end), 60);
+  const { overall: overallCounts, byCluster, sampled } = clusterSeries(result, bucket, grid);
+  const scale = records.stride;
+  const overallHistogram = seriesHistogram(overallCounts, bucket, grid, scale);
+  const options = {
+    coverage: bucketCoverage(overallHistogram, grid, bucket),
+    period: dailyPeriod(bucket.size),
+    sensitivity: Math.max(sensitivity, 1)
+  };
+  const overall = analyzeSeries(overallCounts, options);
+  
+  const clusters = [];
+  for (const [id, counts] of byCluster) {
+    const analysis = analyzeSeries(counts, options);
+    const { first, last } = clusterBounds(clusterer, id);
+    const events = [
+      ...lifecycleEvents({ first, last, count: sampled.get(id) }, grid),
+      ...analysis.events
+    ].sort((a, b) => b.score - a.score);
+    if (events.length === 0) continue;
+    
+    const cluster = clusterer.getCluster(id);
+    clusters.push({
+      id,
+      template: cluster.template,
+      count: sampled.get(id) * scale,
+      score: Math.round(events[0].score * 10) / 10,
+      first_seen: new Date(first).toISOString(),
+      last_seen: new Date(last).toISOString(),
+      events: events.slice(0, 5).map(e => formatAnomalyEvent(e, overallHistogram, scale))
+    });
+  }
+  clusters.sort((a, b) => b.score - a.score);
+  
+  return {
+    bucket_size: bucket.unit,
+    buckets: overallHistogram.length,
+    seasonal_period_buckets: overall.seasonal ? options.period : undefined,
+    window: describeTimeRange(range),
+    sampling: samplingInfo(records, 'record counts (margin: 95% bound); anomalies are scored on the sample'),
+    time_range: {
+      start: new Date(grid.start).toISOString(),
+      end: new Date(grid.end).toISOString()
+    },
+    overall: {
+      score: Math.round(overall.score * 10) / 10,
+      events: overall.events.slice(0, 10).map(e => formatAnomalyEvent(e, overallHistogram, scale))
+    },
+    anomalous_clusters: clusters.length,
+    clusters: clusters.slice(0, Math.min(Math.max(top, 1), 50))
+  };
+}
+
+async function handleLogCorrelate({
+  file, cluster_id, bucket_size = 'auto', max_lag = 5, min_correlation = 0.3, top = 5,
+  max_clusters = 10, threshold = 0.4, engine = 'lcs', since = null, until = null, timestamp_field = null,
+  clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  const result = await getOrCreateClustering(sources, {
+    ...clustering,
+    maxClusters: Math.min(Math.max(max_clusters, 2), 20),
+    threshold: Math.min(Math.max(threshold, 0.1), 0.9),
+    engine,
+    timestampField: timestamp_field,
+    range
+  });
+  if (!result.timestampFormat) {
+    return { error: 'No timestamp format detected in log file' };
+  }
+  
+  const node = getClusterTree(result).resolve(cluster_id);
+  if (node.error) return node;
+  
+  const grid = recordsGrid(result.records);
+  const { times, clusterIds } = node.level.records;
+  function* targetTimes() {
+    for (let i = 0; i < times.length; i++) {
+      if (!isNaN(times[i]) && node.isMember(clusterIds[i])) yield times[i];
+    }
+  }
+  
+  // Все ряды — на одной сетке bucket'ов, иначе сдвиг не сопоставим;
+  // корреляция не зависит от масштаба, поэтому ряды выборки не пересчитываются
+  const bucket = grid && resolveBucket(bucket_size, new Date(grid.start), new Date(grid.end), 60);
+  const target = grid ? buildHistogram(targetTimes(), bucket, grid).map(h => h.count) : [];
+  const targetCount = target.reduce((sum, count) => sum + count, 0);
+  if (targetCount === 0) {
+    return { error: `No timestamps found for cluster ${node.path}` };
+  }
+  const { byCluster, sampled } = clusterSeries(result, bucket, grid);
+  const maxLag = Math.min(Math.max(Math.round(max_lag), 0), 20, target.length - 3);
+  
+  // Родитель подкластера — надмножество цели и коррелирует с ней тривиально
+  const ancestor = parseClusterPath(node.path)[0];
+  const related = [];
+  for (const [id, counts] of byCluster) {
+    if (id === ancestor) continue;
+    const best = bestLag(target, counts, Math.max(maxLag, 0));
+    if (!best || best.correlation < min_correlation) continue;
+    related.push({
+      id,
+      template: result.clusterer.getCluster(id).template,
+      count: sampled.get(id) * result.records.stride,
+      correlation: Math.round(best.correlation * 1000) / 1000,
+      lag_buckets: best.lag,
+      lag: formatDuration(best.lag * bucket.size)
+    });
+  }
+  related.sort((a, b) => b.correlation - a.correlation);
+  
+  const limit = Math.min(Math.max(top, 1), 20);
+  return {
+    target: { id: node.path, template: node.cluster.template, count: targetCount * recordWeight(node.level) },
+    bucket_size: bucket.unit,
+    buckets: target.length,
+    max_lag_buckets: Math.max(maxLag, 0),
+    window: describeTimeRange(range),
+    sampling: samplingInfo(result.records, 'record counts; correlations are computed on the sample'),
+    leading: related.filter(r => r.lag_buckets > 0).slice(0, limit),
+    concurrent: related.filter(r => r.lag_buckets === 0).slice(0, limit),
+    following: related.filter(r => r.lag_buckets < 0).slice(0, limit)
+  };
+}
+
+/**
+ * Стабильный ID кластера корневого уровня для записи (по номеру её первой строки)
+ */
+function recordClusterId(result, lineNum, key = null) {
+  const { lineNums, clusterIds, sampled } = result.records;
+  const idx = upperBound(lineNums, lineNum) - 1;
+  if (idx >= 0 && lineNums[idx] === lineNum) return result.clusterer.resolve(clusterIds[idx]).stableId;
+  // Запись не попала в выборку: кластер по похожести на шаблоны
+  return sampled && key !== null ? result.clusterer.match(key).stableId : null;
+}
+
+async function handleLogTrace({
+  file, trace_id = null, cluster_id = null, id_pattern = null, limit = 200, top = 5, engine = 'lcs',
+  since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!trace_id && !cluster_id) {
+    return { error: 'Specify trace_id, or cluster_id to summarize its traces' };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  let idPattern = null;
+  if (id_pattern) {
+    try {
+      idPattern = new RegExp(id_pattern);
+    } catch (e) {
+      return { error: `Invalid id_pattern: ${e.message}` };
+    }
+  }
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  // Кластеризация нужна для меток шагов; записи читаются в порядке времени по всем потокам
+  const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+  const multiStream = listStreams(sources).length > 1;
+  const clusters = {};
+  const label = clusterId => {
+    if (clusterId !== null) clusters[clusterId] = result.clusterer.getCluster(clusterId)?.template ?? null;
+    return clusterId;
+  };
+  
+  if (trace_id) {
+    const matcher = traceIdMatcher(String(trace_id));
+    const steps = [];
+    let total = 0;
+    let first = null;
+    let previous = null;
+    let failed = false;
+    const streams = new Set();
+    
+    for await (const record of mergeStreamRecords(sources, result.format, { filter: String(trace_id), range })) {
+      if (!matcher.test(record.text)) continue;
+      total++;
+      streams.add(record.source.streamName);
+      const failure = isFailure(record);
+      failed = failed || failure;
+      const time = record.timestamp ? record.timestamp.getTime() : null;
+      if (time !== null && first === null) first = time;
+      
+      if (steps.length < limit) {
+        steps.push({
+          line_num: record.lineNum,
+          ...recordLineCount(record),
+          ...lineSource(record, sources),
+          source: multiStream ? record.source.streamName : undefined,
+          time: time !== null ? new Date(time).toISOString() : undefined,
+          since_previous: time !== null && previous !== null ? formatDuration(time - previous) : undefined,
+          cluster_id: label(recordClusterId(result, record.lineNum, record.key)),
+          failed: failure || undefined,
+          line: record.text
+        });
+      }
+      if (time !== null) previous = time;
+    }
+    
+    if (total === 0) {
+      return { error: `No records found for trace_id ${trace_id}` };
+    }
+    return {
+      trace_id,
+      window: describeTimeRange(range),
+      steps_total: total,
+      returned: steps.length,
+      duration: first !== null ? formatDuration(previous - first) : null,
+      failed,
+      sources: multiStream ? [...streams] : undefined,
+      clusters,
+      steps
+    };
+  }
+  
+  // Сводка: ID из записей кластера, затем все записи этих трасс по всему набору
+  const node = getClusterTree(result).resolve(cluster_id);
+  if (node.error) return node;
+  
+  const ids = new Set();
+  let withoutId = 0;
+  for await (const record of clusterRecords(result, sources, node)) {
+    const id = extractTraceId(record, idPattern);
+    if (id === null) {
+      withoutId++;
+      continue;
+    }
+    ids.add(id);
+    if (ids.size >= MAX_TRACES) break;
+  }
+  if (ids.size === 0) {
+    return { error: `No trace IDs found in cluster ${node.path}. Pass id_pattern to extract them` };
+  }
+  
+  const summary = new TraceSummary(ids);
+  for await (const record of mergeStreamRecords(sources, result.format, { range })) {
+    const id = extractTraceId(record, idPattern);
+    if (id !== null && summary.traces.has(id)) {
+      summary.add(id, record, recordClusterId(result, record.lineNum, record.key));
+    }
+  }
+  
+  const { traces, failed, durations, slowest, failedTraces } = summary.summarize(Math.min(Math.max(top, 1), 20));
+  const describe = trace => ({
+    trace_id: trace.id,
+    steps: trace.steps,
+    duration: trace.duration !== null ? formatDuration(trace.duration) : null,
+    start: trace.first !== null ? new Date(trace.first).toISOString() : null,
+    sources: multiStream ? [...trace.sources] : undefined,
+    failure: trace.failure
+      ? { line_num: trace.failure.lineNum, cluster_id: label(trace.failure.clusterId), line: trace.failure.text }
+      : undefined
+  });
+  
+  return {
+    cluster: { id: node.path, template: node.cluster.template },
+    window: describeTimeRange(range),
+    traces,
+    truncated: ids.size >= MAX_TRACES || undefined,
+    records_without_id: withoutId || undefined,
+    failed,
+    duration_percentiles: durations
+      ? { p50: formatDuration(durations.p50), p95: formatDuration(durations.p95), max: formatDuration(durations.max) }
+      : null,
+    slowest: slowest.map(describe),
+    failed_traces: failedTraces.map(describe),
+    clusters
+  };
+}
+
+/**
+ * Сторона сравнения: весь результат кластеризации
+ */
+function clusteringSide(result) {
+  const { firstTime, lastTime } = result.records;
+  return {
+    total: result.totalRecords,
+    durationMs: lastTime > firstTime ? lastTime - firstTime : 0,
+    clusters: result.clusterer.getStats()
+  };
+}
+
+/**
+ * Сторона сравнения: записи результата в окне [since, until) по назначениям основного прохода.
+ * Записи без метки времени в окна не попадают; при выборке записей количества — оценки.
+ */
+function windowSide(result, since = -Infinity, until = Infinity) {
+  const { clusterer } = result;
+  const { times, clusterIds, stride } = result.records;
+  const counts = new Map();
+  let total = 0;
+  let first = Infinity;
+  let last = -Infinity;
+  
+  for (let i = 0; i < times.length; i++) {
+    const time = times[i];
+    if (isNaN(time) || time < since || time >= until) continue;
+    const id = clusterer.resolve(clusterIds[i]).stableId;
+    counts.set(id, (counts.get(id) || 0) + stride);
+    total += stride;
+    first = Math.min(first, time);
+    last = Math.max(last, time);
+  }
+  
+  const start = isFinite(since) ? since : first;
+  const end = isFinite(until) ? until : last;
+  return {
+    since: isFinite(start) ? new Date(start).toISOString() : null,
+    until: isFinite(end) ? new Date(end).toISOString() : null,
+    total,
+    durationMs: total > 0 ? Math.max(end - start, 0) : 0,
+    clusters: [...counts].map(([id, count]) => ({
+      id,
+      template: clusterer.getCluster(id).template,
+      count,
+      examples: []
+    }))
+  };
+}
+
+/**
+ * Примеры для кластеров окон: один проход по файлу, по 2 записи на кластер и окно
+ */
+async function collectWindowExamples(result, sources, windows) {
+  const { clusterer, records, format } = result;
+  const { lineNums, times, clusterIds } = records;
+  const wanted = windows.map(w => new Map(w.clusters.map(c => [c.id, c])));
+  let pending = wanted.reduce((sum, m) => sum + m.size * 2, 0);
+  let idx = 0;
+  
+  for await (const record of readRecords(sources, format)) {
+    if (pending <= 0) break;
+    while (idx < lineNums.length && lineNums[idx] < record.lineNum) idx++;
+    if (idx === lineNums.length) break;
+    if (lineNums[idx] !== record.lineNum || isNaN(times[idx])) continue;
+    
+    const id = clusterer.resolve(clusterIds[idx]).stableId;
+    windows.forEach((w, i) => {
+      const cluster = wanted[i].get(id);
+      if (cluster && cluster.examples.length < 2 && times[idx] >= w.sinceMs && times[idx] < w.untilMs) {
+        cluster.examples.push(record.text);
+        pending--;
+      }
+    });
+  }
+}
+
+async function handleLogDiff({
+  file, compare_file = null,
+  baseline_since = null, baseline_until = null, compare_since = null, compare_until = null,
+  max_clusters = 20, threshold = 0.4, engine = 'lcs', change_ratio = 2, top = 10,
+  since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  // Одинаковые настройки кластеризации для обеих сторон
+  const settings = {
+    ...clustering,
+    maxClusters: Math.min(Math.max(max_clusters, 2), 20),
+    threshold: Math.min(Math.max(threshold, 0.1), 0.9),
+    engine,
+    timestampField: timestamp_field
+  };
+  const options = {
+    changeRatio: Math.max(change_ratio, 1.1),
+    top: Math.min(Math.max(top, 1), 50)
+  };
   
-  if (cluster_id !== null) {
-    const cluster = clusterer.getCluster(cluster_id);
-    if (!cluster) {
-      return { error: `Cluster ${cluster_id} not found` };
+  if (compare_file) {
+    const otherSources = resolveSources(compare_file);
+    if (otherSources.length === 0) {
+      return { error: `File not found: ${compare_file}` };
     }
-    clusterInfo = { id: cluster_id, template: cluster.template };
+    // Относительные границы ("-1h") отсчитываются от конца каждого файла
+    const otherRange = await resolveTimeRange(otherSources, { since, until, timestampField: timestamp_field });
+    if (otherRange?.error) return otherRange;
     
-    // Собираем timestamps только для этого кластера
-    filteredTimestamps = [];
-    for await (const { line } of readLines(file)) {
-      if (cluster.similarity(line) >= 0.4) {
-        const ts = extractTimestamp(line, timestampPattern);
-        if (ts) filteredTimestamps.push(ts);
-      }
-    }
+    const baseline = clusteringSide(await getOrCreateClustering(sources, { ...settings, range }));
+    const compare = clusteringSide(await getOrCreateClustering(otherSources, { ...settings, range: otherRange }));
+    
+    return {
+      mode: 'files',
+      window: describeTimeRange(range),
+      baseline: { file, total_records: baseline.total },
+      compare: { file: compare_file, total_records: compare.total },
+      ...diffClusterSets(baseline, compare, options)
+    };
   }
   
-  if (filteredTimestamps.length === 0) {
-    return { error: 'No timestamps found', cluster: clusterInfo };
+  const windowBounds = { baseline_since, baseline_until, compare_since, compare_until };
+  if (Object.values(windowBounds).every(v => v === null || v === undefined || v === '')) {
+    return { error: 'Specify compare_file, or time windows (baseline_since/until, compare_since/until)' };
   }
   
-  const sorted = filteredTimestamps.sort((a, b) => a - b);
-  let bucket;
+  const result = await getOrCreateClustering(sources, { ...settings, range });
+  if (!result.timestampFormat) {
+    return { error: 'No timestamp format detected in log file' };
+  }
   
-  if (bucket_size === 'auto') {
-    bucket = calculateBucketSize(sorted[0], sorted[sorted.length - 1]);
-  } else {
-    const sizes = {
-      minute: { size: 60 * 1000, unit: 'minute' },
-      hour: { size: 60 * 60 * 1000, unit: 'hour' },
-      day: { size: 24 * 60 * 60 * 1000, unit: 'day' }
-    };
-    bucket = sizes[bucket_size] || sizes.hour;
+  const relative = Object.values(windowBounds).some(isRelativeToLogEnd);
+  const logEnd = relative ? await lastTimestamp(sources, result.format) : null;
+  const bounds = {};
+  for (const [name, value] of Object.entries(windowBounds)) {
+    bounds[name] = parseTimeBound(value, { logEnd });
+    if (bounds[name] === null) return { error: `Invalid time for ${name}: ${value}` };
   }
   
-  const histogram = buildHistogram(filteredTimestamps, bucket);
-  const ascii = formatHistogram(histogram);
+  // Незаданная граница окна сравнения — граница окна baseline, и наоборот
+  const windows = [
+    { sinceMs: bounds.baseline_since ?? -Infinity, untilMs: bounds.baseline_until ?? bounds.compare_since ?? Infinity },
+    { sinceMs: bounds.compare_since ?? bounds.baseline_until ?? -Infinity, untilMs: bounds.compare_until ?? Infinity }
+  ].map(w => ({ ...w, ...windowSide(result, w.sinceMs, w.untilMs) }));
   
-  // Находим аномалии (buckets с необычно высоким count)
-  const counts = histogram.map(h => h.count);
-  const avg = counts.reduce((a, b) => a + b, 0) / counts.length;
-  const stdDev = Math.sqrt(counts.reduce((sum, c) => sum + Math.pow(c - avg, 2), 0) / counts.length);
-  
-  const anomalies = histogram
-    .filter(h => h.count > avg + 2 * stdDev)
-    .map(h => ({
-      time: h.start.toISOString(),
-      count: h.count,
-      deviation: ((h.count - avg) / stdDev).toFixed(1) + 'σ'
-    }));
+  const [baseline, compare] = windows;
+  const diff = diffClusterSets(baseline, compare, options);
+  
+  // Примеры нужны только для попавших в отчёт кластеров; собираются в те же объекты кластеров
+  const reported = new Set([...diff.new, ...diff.vanished, ...diff.changed]
+    .flatMap(c => [c.id, c.baseline_id])
+    .filter(id => id !== undefined));
+  await collectWindowExamples(result, sources, windows.map(w => ({
+    sinceMs: w.sinceMs,
+    untilMs: w.untilMs,
+    clusters: w.clusters.filter(c => reported.has(c.id))
+  })));
+  
+  // Записи отчёта получили копии пустых списков: переносим собранные примеры
+  const [baselineById, compareById] = windows.map(w => new Map(w.clusters.map(c => [c.id, c.examples])));
+  for (const entry of diff.new) entry.examples = compareById.get(entry.id).slice(0, 2);
+  for (const entry of diff.vanished) entry.examples = baselineById.get(entry.id).slice(0, 2);
+  for (const entry of diff.changed) {
+    const examples = compareById.get(entry.id);
+    entry.examples = (examples.length > 0 ? examples : baselineById.get(entry.baseline_id ?? entry.id)).slice(0, 2);
+  }
   
   return {
-    cluster: clusterInfo,
-    bucket_size: bucket.unit,
-    total_entries: filteredTimestamps.length,
-    time_range: {
-      start: sorted[0].toISOString(),
-      end: sorted[sorted.length - 1].toISOString()
-    },
-    histogram_ascii: ascii,
-    anomalies: anomalies.length > 0 ? anomalies : null
+    mode: 'time_windows',
+    window: describeTimeRange(range),
+    baseline: { since: baseline.since, until: baseline.until, total_records: baseline.total },
+    compare: { since: compare.since, until: compare.until, total_records: compare.total },
+    ...diff
   };
 }
 
-async function handleLogGrep({ file, pattern, max_examples = 5, context_lines = 0 }) {
-  if (!existsSync(file)) {
+async function handleLogGrep({
+  file, pattern, max_examples = 5, context_lines = 0, fields = null, since = null, until = null
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
   
@@ -398,34 +2390,49 @@ async function handleLogGrep({ file, pattern, max_examples = 5, context_lines =
   const examples = [];
   let count = 0;
   const contextBuffer = [];
+  const format = await detectSourceFormat(sources);
+  const fieldFilter = parseFieldFilter(fields);
+  if (fieldFilter && format.logFormat === 'text') {
+    return { error: 'Field filters require JSON or logfmt log lines' };
+  }
+  const range = await resolveTimeRange(sources, { since, until });
+  if (range?.error) return range;
   
-  for await (const { lineNum, line } of readLines(file)) {
+  // Поиск идёт по записям: совпадение во фрейме стека возвращает весь trace
+  for await (const record of readRecords(sources, format, { range })) {
     // Поддержка контекста
     if (context_lines > 0) {
-      contextBuffer.push({ lineNum, line });
+      contextBuffer.push(record);
       if (contextBuffer.length > context_lines * 2 + 1) {
         contextBuffer.shift();
       }
     }
     
-    const matches = typeof filter === 'string' 
-      ? line.includes(filter)
-      : filter.test(line);
+    const matches = matchesFieldFilter(record.fields, fieldFilter) && (
+      typeof filter === 'string'
+        ? record.text.includes(filter)
+        : filter.test(record.text)
+    );
     
     if (matches) {
       count++;
       
       if (examples.length < max_examples) {
+        const location = {
+          line_num: record.lineNum,
+          ...recordLineCount(record),
+          ...lineSource(record, sources)
+        };
         if (context_lines > 0) {
           examples.push({
-            line_num: lineNum,
-            match: line,
-            context: contextBuffer.map(c => c.line)
+            ...location,
+            match: record.text,
+            context: contextBuffer.map(c => c.text)
           });
         } else {
           examples.push({
-            line_num: lineNum,
-            line
+            ...location,
+            line: record.text
           });
         }
       }
@@ -434,6 +2441,8 @@ async function handleLogGrep({ file, pattern, max_examples = 5, context_lines =
   
   return {
     pattern,
+    fields: fields || undefined,
+    window: describeTimeRange(range),
     total_matches: count,
     examples_shown: examples.length,
     examples,
@@ -443,19 +2452,128 @@ async function handleLogGrep({ file, pattern, max_examples = 5, context_lines =
   };
 }
 
-async function handleLogFetch({ file, filter = null, offset = 0, limit = 100 }) {
-  if (!existsSync(file)) {
+async function handleLogFetch({
+  file, filter = null, offset = 0, limit = 100, fields = null, cluster_id = null, engine = 'lcs',
+  since = null, until = null, timestamp_field = null, clustering = {}
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
     return { error: `File not found: ${file}` };
   }
   
+  const fieldFilter = parseFieldFilter(fields);
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  const format = fieldFilter || range ? await detectSourceFormat(sources, { timestampField: timestamp_field }) : null;
+  if (fieldFilter && format.logFormat === 'text') {
+    return { error: 'Field filters require JSON or logfmt log lines' };
+  }
+  
   const lines = [];
   let totalMatched = 0;
   
-  for await (const { lineNum, line } of readLines(file, { filter })) {
+  // Записи узла дерева кластеров: offset/limit считаются по записям кластера
+  if (cluster_id !== null && cluster_id !== undefined) {
+    if (!ENGINES[engine]) {
+      return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+    }
+    // Те же параметры, что у log_cluster: иначе ID кластеров другой кластеризации
+    const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+    const node = getClusterTree(result).resolve(cluster_id);
+    if (node.error) return node;
+    
+    for await (const record of clusterRecords(result, sources, node)) {
+      if (!matchesFilter(record.text, filter) || !matchesFieldFilter(record.fields, fieldFilter)) continue;
+      totalMatched++;
+      if (totalMatched > offset) {
+        lines.push({
+          line_num: record.lineNum,
+          ...recordLineCount(record),
+          ...lineSource(record, sources),
+          line: record.text
+        });
+      }
+      if (lines.length >= limit) break;
+    }
+    
+    const weight = recordWeight(node.level);
+    return {
+      cluster_id: node.path,
+      template: node.cluster.template,
+      filter,
+      fields: fields || undefined,
+      window: describeTimeRange(range),
+      sampling: weight > 1 ? { every: weight, note: 'only the sampled records of the cluster are listed' } : undefined,
+      offset,
+      limit,
+      returned: lines.length,
+      total_scanned: totalMatched,
+      lines
+    };
+  }
+  
+  // Несколько логов: записи всех потоков вперемешку по времени, offset/limit — по записям
+  if (listStreams(sources).length > 1) {
+    const merged = mergeStreamRecords(sources, format || await detectSourceFormat(sources, { timestampField: timestamp_field }), {
+      filter,
+      fieldFilter,
+      range
+    });
+    for await (const record of merged) {
+      totalMatched++;
+      if (totalMatched > offset) {
+        lines.push({
+          line_num: record.lineNum,
+          ...recordLineCount(record),
+          ...lineSource(record, sources),
+          source: record.source.streamName,
+          time: record.timestamp ? record.timestamp.toISOString() : undefined,
+          line: record.text
+        });
+      }
+      if (lines.length >= limit) break;
+    }
+    
+    return {
+      filter,
+      fields: fields || undefined,
+      window: describeTimeRange(range),
+      merged: true,
+      offset,
+      limit,
+      returned: lines.length,
+      total_scanned: totalMatched,
+      lines
+    };
+  }
+  
+  // Без фильтров offset — это номер строки: переходим к ближайшей
+  // контрольной точке индекса вместо чтения с первой строки.
+  // С окном времени offset считается от начала окна
+  let start = null;
+  if (range) {
+    start = await seekTimeRange(sources, format, range);
+  } else if (!filter && !fieldFilter && offset > 0) {
+    start = getLineCheckpoints(sources)?.find(offset + 1) || null;
+    if (start) totalMatched = start.lineNum - 1;
+  }
+  const window = range ? new TimeWindow(range) : null;
+  
+  for await (const entry of readLines(sources, { filter: window ? null : filter, start })) {
+    if (window) {
+      // Строка без метки времени (продолжение записи) наследует время предыдущей
+      const timestamp = parseRecord({ lines: [entry.line], source: entry.source }, format).timestamp;
+      const position = window.position(timestamp ? timestamp.getTime() : null);
+      if (position > 0) break;
+      if (position < 0 || !matchesFilter(entry.line, filter)) continue;
+    }
+    if (fieldFilter && !matchesFieldFilter(parseFields(entry.line, format.logFormat), fieldFilter)) {
+      continue;
+    }
     totalMatched++;
     
     if (totalMatched > offset && lines.length < limit) {
-      lines.push({ line_num: lineNum, line });
+      lines.push({ line_num: entry.lineNum, ...lineSource(entry, sources), line: entry.line });
     }
     
     if (lines.length >= limit) break;
@@ -463,14 +2581,532 @@ async function handleLogFetch({ file, filter = null, offset = 0, limit = 100 })
   
   return {
     filter,
+    fields: fields || undefined,
+    window: describeTimeRange(range),
     offset,
     limit,
     returned: lines.length,
     total_scanned: totalMatched,
+    seek_line: start ? start.lineNum : undefined,
+    lines
+  };
+}
+
+async function handleLogTail({
+  file, cursor = null, limit = 100, max_clusters = 10, threshold = 0.4, engine = 'lcs', filter = null, fields = null,
+  min_level = null, since = null, until = null, timestamp_field = null
+}) {
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  if (!ENGINES[engine]) {
+    return { error: `Unknown engine: ${engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const minLevel = resolveMinLevel(min_level);
+  if (minLevel?.error) return minLevel;
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  
+  // Та же кластеризация, что у log_cluster с этими аргументами (и у сессии): метки
+  // совпадают с её ID. Обновление кэша дочитывает только дописанные строки
+  const { clusterer, records, checkpoints, format, totalLines } = await getOrCreateClustering(sources, {
+    maxClusters: Math.min(Math.max(max_clusters, 2), 20),
+    threshold: Math.min(Math.max(threshold, 0.1), 0.9),
+    engine,
+    filter,
+    fields,
+    minLevel,
+    timestampField: timestamp_field,
+    range
+  });
+  
+  const lastLine = checkpoints.end ? checkpoints.end.lineNum : 0;
+  const { lineNums, clusterIds, stride, sampled } = records;
+  let firstIdx;
+  let afterLine = null;
+  let reset = false;
+  
+  if (cursor === null || cursor === undefined || cursor === '') {
+    firstIdx = Math.max(0, lineNums.length - Math.ceil(limit / stride));
+  } else {
+    afterLine = parseInt(cursor, 10);
+    if (isNaN(afterLine) || afterLine < 0) {
+      return { error: `Invalid cursor: ${cursor}` };
+    }
+    // Курсор дальше конца файла — файл усечён или заменён, начинаем сначала
+    reset = afterLine > lastLine;
+    firstIdx = reset ? 0 : upperBound(lineNums, afterLine);
+  }
+  
+  // При выборке хранится каждая stride-я запись: число новых записей — оценка,
+  // а читаются все записи после курсора, не только хранимые
+  const pending = (lineNums.length - firstIdx) * stride;
+  const lines = [];
+  let nextCursor = firstIdx < lineNums.length ? lineNums[firstIdx] - 1 : lastLine;
+  const firstLine = sampled && afterLine !== null && !reset
+    ? afterLine + 1
+    : (firstIdx < lineNums.length ? lineNums[firstIdx] : null);
+  
+  // Последние limit записей при выборке: хранимая запись не обязательно последняя — читаем до конца
+  const latest = sampled && afterLine === null;
+  
+  if (firstLine !== null && firstLine <= lastLine) {
+    const start = checkpoints.find(firstLine);
+    let idx = firstIdx;
+    // Только записи кластеризации: фильтры — в readRecords, окно — по потокам,
+    // как при её проходе (запись без метки наследует время предыдущей в потоке)
+    const windows = new Map();
+    const inWindow = record => {
+      if (!range) return true;
+      const stream = record.source.stream;
+      if (!windows.has(stream)) windows.set(stream, new TimeWindow(range));
+      return windows.get(stream).position(record.timestamp ? record.timestamp.getTime() : null) === 0;
+    };
+    
+    const tailRecords = readRecords(sources, format, { start, filter, fieldFilter: parseFieldFilter(fields), minLevel });
+    for await (const record of tailRecords) {
+      const inside = inWindow(record);
+      if (record.lineNum < firstLine || !inside) continue;
+      while (idx < lineNums.length - 1 && lineNums[idx] < record.lineNum) idx++;
+      const cluster = lineNums[idx] !== record.lineNum
+        ? clusterer.match(record.key)
+        : clusterer.resolve(clusterIds[idx]);
+      
+      lines.push({
+        line_num: record.lineNum,
+        ...recordLineCount(record),
+        ...lineSource(record, sources),
+        cluster_id: cluster.stableId,
+        line: record.text
+      });
+      nextCursor = record.endLineNum;
+      
+      if (latest && lines.length > limit) lines.shift();
+      if (!latest && lines.length >= limit) break;
+    }
+  }
+  
+  const clusters = {};
+  for (const { cluster_id } of lines) {
+    clusters[cluster_id] = clusterer.getCluster(cluster_id)?.template ?? null;
+  }
+  
+  return {
+    cursor: String(nextCursor),
+    reset: reset || undefined,
+    total_lines: totalLines,
+    new_records: pending,
+    sampling: sampled ? { every: stride, estimated: 'new_records' } : undefined,
+    returned: lines.length,
+    has_more: sampled ? nextCursor < lastLine : pending > lines.length,
+    clusters,
     lines
   };
 }
 
+async function handleLogReport({
+  file, path = null, format = null, title = null, max_clusters = 10, threshold = 0.4, engine = 'lcs',
+  filter = null, fields = null, min_level = null, bucket_size = 'auto', timelines = 5, examples = 3,
+  since = null, until = null, timestamp_field = null, overwrite = false
+}) {
+  if (!path) {
+    return { error: 'Specify path to write the report to' };
+  }
+  const reportFormat = format || (/\.html?$/i.test(path) ? 'html' : 'markdown');
+  if (reportFormat !== 'markdown' && reportFormat !== 'html') {
+    return { error: `Unknown format: ${format}. Use markdown or html` };
+  }
+  
+  // Путь отчёта проверяется до анализа: отказ не должен стоить прохода по логам
+  const target = resolvePath(path);
+  checkAccess(target);
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  const existing = realPathOf(target);
+  if (existing && sources.some(source => realPathOf(source.path) === existing)) {
+    return { error: `Refusing to write the report over an analyzed log file: ${target}` };
+  }
+  if (existing && !overwrite) {
+    return { error: `File already exists: ${target}. Pass overwrite: true to replace it` };
+  }
+  
+  // Таблица кластеров, сводка и аномалии строятся по одному результату кластеризации
+  const clusters = await handleLogCluster({
+    file, max_clusters, threshold, engine, filter, fields, min_level, since, until, timestamp_field
+  });
+  if (clusters.error) return clusters;
+  const overview = await handleLogOverview({ file, since, until, timestamp_field });
+  if (overview.error) return overview;
+  
+  const minLevel = resolveMinLevel(min_level);
+  const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+  if (range?.error) return range;
+  const result = await getOrCreateClustering(sources, {
+    maxClusters: Math.min(Math.max(max_clusters, 2), 20),
+    threshold: Math.min(Math.max(threshold, 0.1), 0.9),
+    engine,
+    filter,
+    fields,
+    minLevel,
+    timestampField: timestamp_field,
+    range
+  });
+  
+  let anomalies = null;
+  let overall = null;
+  let bucketUnit = null;
+  const clusterTimelines = [];
+  if (result.timestampFormat) {
+    anomalies = await handleLogAnomalies({
+      file, bucket_size, max_clusters, threshold, engine, since, until, timestamp_field,
+      clustering: { filter, fields, minLevel }
+    });
+    if (anomalies.error) anomalies = null;
+    
+    // Ряды кластеров на общей сетке: сначала аномальные, затем самые крупные
+    const grid = recordsGrid(result.records);
+    if (grid) {
+      const bucket = resolveBucket(bucket_size, new Date(grid.start), new Date(grid.end));
+      const scale = result.records.stride;
+      const series = clusterSeries(result, bucket, grid);
+      bucketUnit = bucket.unit;
+      overall = seriesHistogram(series.overall, bucket, grid, scale);
+      const ids = new Set([...(anomalies ? anomalies.clusters : []), ...clusters.clusters].map(c => c.id));
+      for (const id of [...ids].filter(id => series.byCluster.has(id)).slice(0, Math.min(Math.max(timelines, 0), 20))) {
+        clusterTimelines.push({ id, histogram: seriesHistogram(series.byCluster.get(id), bucket, grid, scale) });
+      }
+    }
+  }
+  
+  // Примеры — все, что хранит кластер (до 5), а не 3 из ответа log_cluster
+  const examplesById = new Map(result.clusterer.getStats().map(c => [c.id, c.examples]));
+  const report = {
+    title: title || `Log report: ${Array.isArray(file) ? file.join(', ') : file}`,
+    generated: new Date().toISOString(),
+    files: sources.map(s => s.path),
+    overview,
+    clusters: {
+      ...clusters,
+      clusters: clusters.clusters.map(c => ({ ...c, examples: examplesById.get(c.id) || c.examples }))
+    },
+    anomalies,
+    overall,
+    bucketUnit,
+    timelines: clusterTimelines,
+    examples: Math.min(Math.max(examples, 0), 5)
+  };
+  
+  // Отчёт читают люди и другие инструменты: секреты скрываются, как в ответах
+  const redactor = new Redactor();
+  const redacted = redactor.redactValue(report);
+  const content = reportFormat === 'html' ? renderHtmlReport(redacted) : renderMarkdownReport(redacted);
+  mkdirSync(dirname(target), { recursive: true });
+  // wx: файл, появившийся за время анализа, тоже не перезаписывается
+  writeFileSync(target, content, { flag: overwrite ? 'w' : 'wx' });
+  
+  return {
+    path: target,
+    format: reportFormat,
+    size_bytes: Buffer.byteLength(content),
+    clusters: clusters.clusters.length,
+    timelines: clusterTimelines.length,
+    anomalous_clusters: anomalies ? anomalies.anomalous_clusters : undefined,
+    report_redactions: redactor.summary() || undefined
+  };
+}
+
+/**
+ * Файлы каталога dir и его подкаталогов до LIST_MAX_DEPTH уровней.
+ * Скрытые файлы, каталоги без прав и пути, уводящие ссылками за пределы
+ * разрешённых каталогов, пропускаются
+ * @returns {boolean} false — набрано limit файлов
+ */
+function collectFiles(dir, { regex, recursive, limit }, files, depth = 0) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return true;
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const path = join(dir, entry.name);
+    if (!isAllowed(path)) continue;
+    let stats;
+    try {
+      stats = statSync(path);
+    } catch (e) {
+      continue;
+    }
+    if (stats.isDirectory()) {
+      if (recursive && depth < LIST_MAX_DEPTH && !collectFiles(path, { regex, recursive, limit }, files, depth + 1)) {
+        return false;
+      }
+      continue;
+    }
+    if (!stats.isFile() || (regex && !regex.test(entry.name))) continue;
+    if (files.length >= limit) return false;
+    files.push({ path, stats });
+  }
+  return true;
+}
+
+async function handleLogListFiles({ path = null, pattern = null, recursive = true, limit = LIST_FILES_LIMIT }) {
+  const roots = path ? [resolvePath(path)] : getAllowedRoots();
+  if (!roots) {
+    return { error: 'Access is not restricted (--allow-all): pass path to list' };
+  }
+  if (path) {
+    checkAccess(roots[0]);
+    if (!statSync(roots[0], { throwIfNoEntry: false })?.isDirectory()) return { error: `Directory not found: ${path}` };
+  }
+  
+  const files = [];
+  const options = { regex: pattern ? globToRegExp(pattern) : null, recursive, limit: Math.max(limit, 1) };
+  const truncated = !roots.every(root => collectFiles(root, options, files));
+  
+  const listed = [];
+  for (const { path: file, stats } of files) {
+    const sources = resolveSources(file);
+    if (sources.length === 0) continue;
+    // Формат — по первым строкам, как у log_overview
+    const format = await detectSourceFormat(sources);
+    listed.push({
+      path: file,
+      size_bytes: stats.size,
+      size: formatBytes(stats.size),
+      modified: stats.mtime.toISOString(),
+      compressed: sources[0].compressed || undefined,
+      log_format: format.logFormat,
+      timestamp_format: timestampFormatName(format)
+    });
+  }
+  
+  return {
+    roots,
+    total_files: listed.length,
+    truncated: truncated || undefined,
+    files: listed
+  };
+}
+
+/**
+ * Реальный путь существующего файла или null
+ */
+function realPathOf(path) {
+  try {
+    return realpathSync(path);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Аргументы инструмента с учётом сессии
+ *
+ * Незаданные аргументы берутся из сессии (файлы, фильтры, окно, параметры
+ * кластеризации). clustering — параметры кластеризации сессии для инструментов,
+ * которые сами их не принимают (drill, params, trace, fetch, ...): так все
+ * инструменты сессии работают с одним результатом и ID кластеров совпадают.
+ * Аргумент clustering от клиента отбрасывается.
+ */
+function applySession(args) {
+  const { session: sessionId = null, clustering, ...rest } = args;
+  if (!sessionId) {
+    return rest.file ? rest : { error: 'Specify file, or session from log_session_open' };
+  }
+  const session = getSession(sessionId);
+  if (!session) return { error: `Session not found: ${sessionId}` };
+  
+  const merged = sessionToolArgs(session, rest);
+  const { params } = session;
+  return {
+    ...merged,
+    clustering: {
+      maxClusters: params.max_clusters,
+      threshold: params.threshold,
+      filter: params.filter,
+      fields: params.fields,
+      minLevel: params.min_level ? resolveMinLevel(params.min_level) : null
+    }
+  };
+}
+
+async function handleLogSessionOpen({ file = null, session: sessionId = null, name = null, ...params }) {
+  let session = null;
+  if (sessionId) {
+    session = getSession(sessionId);
+    if (!session) return { error: `Session not found: ${sessionId}` };
+  } else if (!file) {
+    return { error: 'Specify file to start a session, or session to reopen a saved one' };
+  }
+  
+  // Новые параметры проверяются до закрепления: сессия не сохраняется с ошибкой
+  const candidate = { params: { ...(session ? session.params : {}) } };
+  pinParams(candidate, params);
+  const pinned = candidate.params;
+  const sources = resolveSources(file ?? session.file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file ?? session.file}` };
+  }
+  if (pinned.engine && !ENGINES[pinned.engine]) {
+    return { error: `Unknown engine: ${pinned.engine}. Use one of: ${Object.keys(ENGINES).join(', ')}` };
+  }
+  const minLevel = resolveMinLevel(pinned.min_level);
+  if (minLevel?.error) return minLevel;
+  if (pinned.max_clusters !== undefined) pinned.max_clusters = Math.min(Math.max(pinned.max_clusters, 2), 20);
+  if (pinned.threshold !== undefined) pinned.threshold = Math.min(Math.max(pinned.threshold, 0.1), 0.9);
+  const range = await resolveTimeRange(sources, {
+    since: pinned.since, until: pinned.until, timestampField: pinned.timestamp_field
+  });
+  if (range?.error) return range;
+  
+  if (session) {
+    if (file) session.file = file;
+    if (name) session.name = name;
+    session.params = pinned;
+  } else {
+    session = createSession({ name, file, params: pinned });
+  }
+  saveSession(session);
+  
+  return {
+    session: session.id,
+    name: session.name || undefined,
+    file: session.file,
+    files: sources.length,
+    params: session.params,
+    window: describeTimeRange(range),
+    notes: session.notes.length > 0 ? session.notes : undefined,
+    created: session.created,
+    updated: session.updated
+  };
+}
+
+async function handleLogSessionNote({
+  session: sessionId, text = null, kind = 'note', cluster_id = null, line_start = null, line_end = null
+}) {
+  const session = getSession(sessionId);
+  if (!session) return { error: `Session not found: ${sessionId}` };
+  if (kind !== 'note' && kind !== 'bookmark') {
+    return { error: `Unknown kind: ${kind}. Use note or bookmark` };
+  }
+  const hasCluster = cluster_id !== null && cluster_id !== undefined;
+  const hasLines = line_start !== null && line_start !== undefined;
+  if (kind === 'note' && !text) return { error: 'A note needs text' };
+  if (kind === 'bookmark' && !hasCluster && !hasLines) {
+    return { error: 'A bookmark needs cluster_id or line_start' };
+  }
+  if (hasCluster && hasLines) return { error: 'Specify cluster_id or a line range, not both' };
+  
+  const note = { kind, text: text || null };
+  const { file, engine = 'lcs', since = null, until = null, timestamp_field = null, clustering } =
+    applySession({ session: sessionId });
+  const sources = resolveSources(file);
+  if (sources.length === 0) {
+    return { error: `File not found: ${file}` };
+  }
+  
+  // Закладка хранит шаблон кластера: он понятен и тогда, когда ID уже другие
+  if (hasCluster) {
+    const range = await resolveTimeRange(sources, { since, until, timestampField: timestamp_field });
+    if (range?.error) return range;
+    const result = await getOrCreateClustering(sources, { ...clustering, engine, timestampField: timestamp_field, range });
+    const node = getClusterTree(result).resolve(cluster_id);
+    if (node.error) return node;
+    note.cluster = { id: node.path, template: node.cluster.template, count: node.cluster.count };
+  }
+  
+  // Диапазон строк — с выдержкой первых строк
+  if (hasLines) {
+    const start = Math.floor(line_start);
+    const end = Math.floor(line_end ?? line_start);
+    if (start < 1 || end < start) {
+      return { error: 'line_start must be 1 or more and line_end not before line_start' };
+    }
+    const checkpoints = await ensureLineCheckpoints(sources);
+    const excerpt = [];
+    for await (const entry of readLines(sources, { start: checkpoints.find(start) })) {
+      if (entry.lineNum < start) continue;
+      if (entry.lineNum > end || excerpt.length >= EXCERPT_LINES) break;
+      excerpt.push(entry.line);
+    }
+    if (excerpt.length === 0) return { error: `Line ${start} is past the end of the log` };
+    note.lines = { start, end };
+    note.excerpt = excerpt;
+  }
+  
+  const entry = addNote(session, note);
+  saveSession(session);
+  return { session: session.id, ...entry };
+}
+
+function handleLogSessionList() {
+  return { sessions: listSessions().map(sessionSummary) };
+}
+
+async function handleLogSessionExport({ session: sessionId, format = 'markdown', clusters = true }) {
+  const session = getSession(sessionId);
+  if (!session) return { error: `Session not found: ${sessionId}` };
+  if (format !== 'json' && format !== 'markdown') {
+    return { error: `Unknown format: ${format}. Use json or markdown` };
+  }
+  
+  // Текущие кластеры по закреплённым параметрам
+  const clusterTable = clusters ? await handleLogCluster(applySession({ session: sessionId })) : null;
+  
+  if (format === 'markdown') {
+    return { session: session.id, format, content: renderSessionMarkdown(session, clusterTable) };
+  }
+  return {
+    session: session.id,
+    format,
+    report: {
+      ...session,
+      clusters: clusterTable?.error ? clusterTable : clusterTable && {
+        total_records: clusterTable.total_records,
+        cluster_count: clusterTable.cluster_count,
+        engine: clusterTable.engine,
+        clusters: clusterTable.clusters.map(({ id, count, percent, template, level }) => ({ id, count, percent, template, level }))
+      }
+    }
+  };
+}
+
+/**
+ * Индекс первого элемента отсортированного массива, большего value
+ */
+function upperBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Файл и номер строки в нём — только если набор состоит из нескольких файлов
+ */
+function lineSource(entry, sources) {
+  if (sources.length <= 1) return {};
+  return { file: entry.source.path, file_line: entry.fileLine };
+}
+
+/**
+ * Число строк записи — только для многострочных записей
+ */
+function recordLineCount(record) {
+  return record.lines.length > 1 ? { line_count: record.lines.length } : {};
+}
+
 function formatBytes(bytes) {
   const units = ['B', 'KB', 'MB', 'GB'];
   let i = 0;
@@ -481,6 +3117,58 @@ function formatBytes(bytes) {
   return `${bytes.toFixed(1)} ${units[i]}`;
 }
 
+/**
+ * Бюджет времени вызова: аргумент time_budget или LOG_EXPLORER_TIME_BUDGET, секунды
+ * @returns {number|null} мс
+ */
+function timeBudgetMs(args) {
+  const seconds = parseFloat(args.time_budget ?? process.env.LOG_EXPLORER_TIME_BUDGET);
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Контекст вызова инструмента: отмена запроса, бюджет времени и уведомления
+ * notifications/progress, если клиент передал progressToken
+ */
+function createToolCall(request, extra) {
+  const budget = timeBudgetMs(request.params.arguments || {});
+  const progressToken = request.params._meta?.progressToken;
+  // progress в уведомлениях должен расти
+  let reported = 0;
+  
+  return new ToolCall({
+    signal: extra.signal,
+    deadline: budget ? Date.now() + budget : Infinity,
+    onProgress: progressToken === undefined ? null : call => {
+      if (call.bytes <= reported) return;
+      reported = call.bytes;
+      const eta = call.eta();
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: call.bytes,
+          total: Math.max(call.total, call.bytes),
+          message: `${formatBytes(call.bytes)} of ${formatBytes(call.total)}, ${call.lines} lines` +
+            (eta !== null ? `, ETA ${eta} s` : '')
+        }
+      }).catch(e => console.error(`Failed to send progress: ${e.message}`));
+    }
+  });
+}
+
+/**
+ * Пометка ответа, построенного по части данных: сколько успели прочитать
+ */
+function describePartial(args) {
+  const call = currentCall();
+  return {
+    reason: `time budget of ${timeBudgetMs(args) / 1000} s expired`,
+    read_bytes: call.bytes,
+    read_lines: call.lines
+  };
+}
+
 // Создаём и запускаем сервер
 const server = new Server(
   { name: 'log-explorer', version: '0.1.0' },
@@ -491,30 +3179,77 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: TOOLS
 }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, (request, extra) => runCall(createToolCall(request, extra), async () => {
   const { name, arguments: args } = request.params;
   
   try {
     let result;
     
+    // Инструменты сессий принимают её ID сами, log_list_files файла не требует,
+    // остальным подставляются аргументы сессии
+    const ownArgs = name.startsWith('log_session_') || name === 'log_list_files';
+    const toolArgs = ownArgs ? args || {} : applySession(args || {});
+    if (toolArgs.error) {
+      return { content: [{ type: 'text', text: JSON.stringify(toolArgs, null, 2) }] };
+    }
+    
     switch (name) {
       case 'log_overview':
-        result = await handleLogOverview(args);
+        result = await handleLogOverview(toolArgs);
         break;
       case 'log_cluster':
-        result = await handleLogCluster(args);
+        result = await handleLogCluster(toolArgs);
         break;
       case 'log_cluster_drill':
-        result = await handleLogClusterDrill(args);
+        result = await handleLogClusterDrill(toolArgs);
+        break;
+      case 'log_cluster_params':
+        result = await handleLogClusterParams(toolArgs);
+        break;
+      case 'log_cluster_tree':
+        result = await handleLogClusterTree(toolArgs);
         break;
       case 'log_timeline':
-        result = await handleLogTimeline(args);
+        result = await handleLogTimeline(toolArgs);
+        break;
+      case 'log_anomalies':
+        result = await handleLogAnomalies(toolArgs);
+        break;
+      case 'log_correlate':
+        result = await handleLogCorrelate(toolArgs);
+        break;
+      case 'log_trace':
+        result = await handleLogTrace(toolArgs);
+        break;
+      case 'log_diff':
+        result = await handleLogDiff(toolArgs);
         break;
       case 'log_grep':
-        result = await handleLogGrep(args);
+        result = await handleLogGrep(toolArgs);
         break;
       case 'log_fetch':
-        result = await handleLogFetch(args);
+        result = await handleLogFetch(toolArgs);
+        break;
+      case 'log_tail':
+        result = await handleLogTail(toolArgs);
+        break;
+      case 'log_report':
+        result = await handleLogReport(toolArgs);
+        break;
+      case 'log_list_files':
+        result = await handleLogListFiles(toolArgs);
+        break;
+      case 'log_session_open':
+        result = await handleLogSessionOpen(toolArgs);
+        break;
+      case 'log_session_note':
+        result = await handleLogSessionNote(toolArgs);
+        break;
+      case 'log_session_list':
+        result = handleLogSessionList();
+        break;
+      case 'log_session_export':
+        result = await handleLogSessionExport(toolArgs);
         break;
       default:
         return {
@@ -523,18 +3258,89 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
     }
     
+    // Каждая строка ответа проходит скрытие секретов
+    const redactor = new Redactor();
+    result = redactor.redactValue(result);
+    const redactions = redactor.summary();
+    if (redactions) result.redactions = redactions;
+    if (callExpired()) result = { ...result, partial: describePartial(args || {}) };
     return {
       content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
     };
   } catch (error) {
+    // Ответ на отменённый запрос SDK клиенту уже не отправляет
     return {
-      content: [{ type: 'text', text: `Error: ${error.message}` }],
+      content: [{ type: 'text', text: `Error: ${new Redactor().redact(error.message)}` }],
       isError: true
     };
   }
-});
+}));
+
+/**
+ * Подключает пользовательские правила маскирования из JSON-файла LOG_EXPLORER_MASKS
+ */
+function loadMaskConfig() {
+  const path = process.env.LOG_EXPLORER_MASKS;
+  if (!path) return;
+  try {
+    setMaskRules(compileMaskRules(JSON.parse(readFileSync(path, 'utf8'))));
+  } catch (e) {
+    console.error(`Failed to load mask rules from ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Пользовательские форматы времени и часовые пояса из LOG_EXPLORER_TIMESTAMPS
+ */
+function loadTimestampConfig() {
+  const path = process.env.LOG_EXPLORER_TIMESTAMPS;
+  if (!path) return;
+  try {
+    setTimestampConfig(compileTimestampConfig(JSON.parse(readFileSync(path, 'utf8'))));
+  } catch (e) {
+    console.error(`Failed to load timestamp formats from ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * Разрешённые каталоги: аргументы командной строки и LOG_EXPLORER_ROOTS
+ * (через path.delimiter); без них — текущий каталог. Доступ без ограничений
+ * только по явному --allow-all
+ */
+function loadAllowedRoots() {
+  const args = process.argv.slice(2);
+  if (args.includes('--allow-all')) {
+    setAllowedRoots(null);
+    console.error('--allow-all: access to the file system is not restricted');
+    return;
+  }
+  const roots = [
+    ...args,
+    ...(process.env.LOG_EXPLORER_ROOTS || '').split(delimiter)
+  ].filter(Boolean);
+  if (roots.length === 0) roots.push(process.cwd());
+  setAllowedRoots(roots);
+  console.error(`Allowed directories: ${getAllowedRoots().join(', ') || '(none)'}`);
+}
+
+/**
+ * Пользовательские правила скрытия секретов из JSON-файла LOG_EXPLORER_REDACTION
+ */
+function loadRedactionConfig() {
+  const path = process.env.LOG_EXPLORER_REDACTION;
+  if (!path) return;
+  try {
+    setRedactionRules(compileRedactionRules(JSON.parse(readFileSync(path, 'utf8'))));
+  } catch (e) {
+    console.error(`Failed to load redaction rules from ${path}: ${e.message}`);
+  }
+}
 
 async function main() {
+  loadAllowedRoots();
+  loadMaskConfig();
+  loadRedactionConfig();
+  loadTimestampConfig();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('Log Explorer MCP server running');
@@ -0,0 +1,212 @@
+/**
+ * Sessions Module
+ *
+ * Именованные сессии анализа: закреплённые файлы, фильтры и параметры
+ * кластеризации, заметки и закладки на кластеры и диапазоны строк.
+ * Сессия — JSON-файл в каталоге кэша: расследование можно продолжить после
+ * перезапуска сервера или передать коллеге (экспорт в JSON/Markdown)
+ */
+
+import { randomBytes } from 'crypto';
+import { join } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, renameSync, readdirSync } from 'fs';
+
+import { getCacheDir } from './index-store.js';
+import { markdownCell as cell, markdownCode as code } from './report.js';
+
+// Закрепляемые параметры — имена как у аргументов инструментов
+export const PINNED_PARAMS = [
+  'engine', 'max_clusters', 'threshold', 'filter', 'fields', 'min_level', 'since', 'until', 'timestamp_field'
+];
+
+// Строк выдержки у закладки на диапазон строк
+export const EXCERPT_LINES = 5;
+
+const SESSION_VERSION = 1;
+
+// ID сессии — 8 hex-символов; проверка не даёт выйти за каталог сессий
+const SESSION_ID = /^[0-9a-f]{8}$/;
+
+// Открытые сессии: ID → сессия
+const sessions = new Map();
+
+function sessionsDir() {
+  return join(getCacheDir(), 'sessions');
+}
+
+function sessionFile(id) {
+  return join(sessionsDir(), `${id}.json`);
+}
+
+/**
+ * Новая сессия (ещё не сохранена)
+ * @param {{name?: string, file: string|string[], params?: object}} options
+ */
+export function createSession({ name = null, file, params = {} }) {
+  const now = new Date().toISOString();
+  const session = {
+    version: SESSION_VERSION,
+    id: randomBytes(4).toString('hex'),
+    name,
+    file,
+    params: {},
+    notes: [],
+    created: now,
+    updated: now
+  };
+  pinParams(session, params);
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Сессия по ID: из памяти или с диска
+ * @returns {object|null}
+ */
+export function getSession(id) {
+  if (!SESSION_ID.test(String(id))) return null;
+  if (sessions.has(id)) return sessions.get(id);
+  
+  try {
+    const session = JSON.parse(readFileSync(sessionFile(id), 'utf8'));
+    if (session.version !== SESSION_VERSION) return null;
+    sessions.set(id, session);
+    return session;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Сохраняет сессию атомарно (временный файл + переименование)
+ */
+export function saveSession(session) {
+  session.updated = new Date().toISOString();
+  mkdirSync(sessionsDir(), { recursive: true });
+  const path = sessionFile(session.id);
+  const tmp = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(session, null, 2));
+  renameSync(tmp, path);
+}
+
+/**
+ * Сохранённые сессии, последние изменённые — первыми
+ */
+export function listSessions() {
+  let names;
+  try {
+    names = readdirSync(sessionsDir()).filter(name => name.endsWith('.json'));
+  } catch (e) {
+    return [];
+  }
+  return names
+    .map(name => getSession(name.slice(0, -'.json'.length)))
+    .filter(Boolean)
+    .sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/**
+ * Закрепляет заданные параметры; null или пустая строка снимает параметр
+ */
+export function pinParams(session, params) {
+  for (const key of PINNED_PARAMS) {
+    const value = params[key];
+    if (value === undefined) continue;
+    if (value === null || value === '') delete session.params[key];
+    else session.params[key] = value;
+  }
+}
+
+/**
+ * Аргументы инструмента: файлы и параметры сессии, поверх — явно заданные аргументы
+ */
+export function sessionToolArgs(session, args) {
+  const explicit = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined && value !== null));
+  return { file: session.file, ...session.params, ...explicit };
+}
+
+/**
+ * Добавляет заметку или закладку
+ * @param {object} note - { kind: 'note'|'bookmark', text, cluster?, lines? }
+ */
+export function addNote(session, note) {
+  const entry = {
+    id: session.notes.reduce((max, n) => Math.max(max, n.id), 0) + 1,
+    ...note,
+    created: new Date().toISOString()
+  };
+  session.notes.push(entry);
+  return entry;
+}
+
+/**
+ * Краткое описание сессии для списка
+ */
+export function sessionSummary(session) {
+  return {
+    session: session.id,
+    name: session.name || undefined,
+    file: session.file,
+    notes: session.notes.filter(n => n.kind === 'note').length,
+    bookmarks: session.notes.filter(n => n.kind === 'bookmark').length,
+    updated: session.updated
+  };
+}
+
+function describeAttachment(note) {
+  if (note.cluster) return `cluster ${code(note.cluster.id)} (${note.cluster.count} records): ${code(note.cluster.template)}`;
+  if (note.lines) {
+    return note.lines.start === note.lines.end ? `line ${note.lines.start}` : `lines ${note.lines.start}-${note.lines.end}`;
+  }
+  return null;
+}
+
+/**
+ * Отчёт сессии в Markdown
+ * @param {object} session
+ * @param {object|null} clusters - ответ log_cluster с параметрами сессии или null
+ */
+export function renderSessionMarkdown(session, clusters = null) {
+  const files = Array.isArray(session.file) ? session.file : [session.file];
+  const params = Object.entries(session.params).map(([key, value]) => `${key}=${value}`);
+  const out = [
+    `# Investigation: ${session.name || session.id}`,
+    '',
+    `- Session: \`${session.id}\``,
+    `- Files: ${files.map(code).join(', ')}`,
+    `- Parameters: ${params.length > 0 ? params.map(code).join(', ') : 'defaults'}`,
+    `- Created: ${session.created}, updated: ${session.updated}`
+  ];
+  
+  if (clusters && !clusters.error) {
+    out.push('', '## Clusters', '',
+      `${clusters.total_records} records, ${clusters.cluster_count} clusters (${clusters.engine}).`, '',
+      '| ID | Count | Share | Level | Template |',
+      '|----|------:|------:|-------|----------|');
+    for (const c of clusters.clusters) {
+      out.push(`| ${c.id} | ${c.count} | ${c.percent} | ${c.level || ''} | ${code(cell(c.template))} |`);
+    }
+  }
+  
+  const bookmarks = session.notes.filter(n => n.kind === 'bookmark');
+  if (bookmarks.length > 0) {
+    out.push('', '## Bookmarks', '');
+    for (const note of bookmarks) {
+      out.push(`- **${describeAttachment(note)}**${note.text ? ` — ${note.text}` : ''}`);
+      if (note.excerpt?.length > 0) {
+        out.push('', '  ```', ...note.excerpt.map(line => `  ${line}`), '  ```');
+      }
+    }
+  }
+  
+  const notes = session.notes.filter(n => n.kind === 'note');
+  if (notes.length > 0) {
+    out.push('', '## Notes', '');
+    for (const note of notes) {
+      const attachment = describeAttachment(note);
+      out.push(`- ${note.created}: ${note.text}${attachment ? ` (${attachment})` : ''}`);
+    }
+  }
+  
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,345 @@
+/**
+ * Log Sources Module
+ *
+ * Разрешение путей/глобов ротации и чтение строк из набора файлов
+ * с прозрачной распаковкой gzip.
+ *
+ * Набор состоит из потоков: поток — один лог с его ротациями (app.log.2.gz,
+ * app.log.1, app.log), упорядоченный по времени. Разные потоки (api.log,
+ * worker.log) пишутся параллельно; в наборе они идут друг за другом.
+ */
+
+import { createReadStream, statSync, realpathSync, existsSync, readdirSync, openSync, readSync, closeSync } from 'fs';
+import { dirname, basename, join } from 'path';
+import { createGunzip } from 'zlib';
+
+import { beginPass } from './progress.js';
+import { checkAccess, isAllowed } from './access.js';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/**
+ * Проверяет, содержит ли строка glob-символы
+ */
+export function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Преобразует glob имени файла в RegExp (поддерживаются * и ?)
+ */
+export function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+}
+
+/**
+ * Определяет сжатие по сигнатуре gzip (а не по расширению)
+ */
+function isGzipFile(filePath) {
+  const buf = Buffer.alloc(2);
+  const fd = openSync(filePath, 'r');
+  try {
+    const bytesRead = readSync(fd, buf, 0, 2, 0);
+    return bytesRead === 2 && buf[0] === GZIP_MAGIC[0] && buf[1] === GZIP_MAGIC[1];
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Номер ротации из имени: app.log.2.gz → 2, app.log → 0
+ */
+function rotationIndex(name) {
+  const match = name.match(/\.(\d+)(?:\.gz)?$/);
+  return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * Имя потока: имя файла без суффикса ротации (app.log.2.gz, app.log-20240115.gz → app.log)
+ */
+function streamName(name) {
+  return name.replace(/\.gz$/, '').replace(/\.\d+$/, '').replace(/-\d{8}$/, '');
+}
+
+/**
+ * Обычный ли это файл; висячая ссылка или файл без доступа — нет
+ */
+function isRegularFile(path) {
+  try {
+    return statSync(path).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Описание одного файла-источника; realPath — путь с раскрытыми ссылками,
+ * по нему две ссылки на один файл считаются одним источником
+ */
+function describeSource(filePath) {
+  const stats = statSync(filePath);
+  return {
+    path: filePath,
+    realPath: realpathSync(filePath),
+    name: basename(filePath),
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    ino: stats.ino,
+    compressed: isGzipFile(filePath)
+  };
+}
+
+/**
+ * Файлы одного пути: файл, все файлы каталога (без скрытых) или glob в имени файла
+ *
+ * Путь вне разрешённых каталогов (access.js) — AccessError; файлы каталога или
+ * glob, ведущие за его пределы по ссылке, и висячие ссылки пропускаются
+ */
+function resolvePath(pattern) {
+  if (!isGlob(pattern)) {
+    checkAccess(pattern);
+    if (!existsSync(pattern)) return [];
+    const stats = statSync(pattern);
+    if (stats.isFile()) return [describeSource(pattern)];
+    if (!stats.isDirectory()) return [];
+    return readdirSync(pattern)
+      .filter(name => !name.startsWith('.'))
+      .map(name => join(pattern, name))
+      .filter(path => isAllowed(path) && isRegularFile(path))
+      .map(describeSource);
+  }
+
+  const dir = dirname(pattern);
+  if (isGlob(dir)) return [];
+  checkAccess(dir);
+  if (!existsSync(dir)) return [];
+
+  const regex = globToRegExp(basename(pattern));
+  return readdirSync(dir)
+    .filter(name => regex.test(name))
+    .map(name => join(dir, name))
+    .filter(path => isAllowed(path) && isRegularFile(path))
+    .map(describeSource);
+}
+
+/**
+ * Разрешает пути, каталоги или глобы в упорядоченный список источников
+ *
+ * Файлы группируются в потоки по имени без суффикса ротации; потоки идут
+ * в порядке первого упоминания. Внутри потока порядок хронологический:
+ * сначала самые старые ротации (app.log.2.gz), последним — активный файл
+ * (app.log). Файлы без номера ротации (например, app.log-20240115.gz)
+ * упорядочиваются по mtime.
+ *
+ * @param {string|string[]} pattern - путь к файлу, каталог или glob в имени файла; или их список
+ * @returns {Array<{path: string, realPath: string, name: string, size: number,
+ *                  mtimeMs: number, ino: number, compressed: boolean,
+ *                  stream: number, streamName: string}>}
+ */
+export function resolveSources(pattern) {
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  const groups = new Map();
+  const seen = new Set();
+
+  for (const item of patterns) {
+    for (const source of resolvePath(String(item))) {
+      if (seen.has(source.realPath)) continue;
+      seen.add(source.realPath);
+      const key = join(dirname(source.realPath), streamName(source.name));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(source);
+    }
+  }
+
+  // Одноимённые логи из разных каталогов различаются полным путём
+  const names = [...groups.keys()].map(key => basename(key));
+  const sources = [];
+  let stream = 0;
+  for (const [key, files] of groups) {
+    const name = names.filter(n => n === basename(key)).length > 1 ? key : basename(key);
+    files.sort((a, b) => rotationIndex(b.name) - rotationIndex(a.name) || a.mtimeMs - b.mtimeMs);
+    for (const file of files) sources.push({ ...file, stream, streamName: name });
+    stream++;
+  }
+  return sources;
+}
+
+/**
+ * Потоки набора: имя и диапазон индексов файлов [first, end)
+ * @returns {Array<{index: number, name: string, first: number, end: number}>}
+ */
+export function listStreams(sources) {
+  const streams = [];
+  sources.forEach((source, i) => {
+    const last = streams[streams.length - 1];
+    if (last && last.index === source.stream) {
+      last.end = i + 1;
+    } else {
+      streams.push({ index: source.stream, name: source.streamName, first: i, end: i + 1 });
+    }
+  });
+  return streams;
+}
+
+/**
+ * Сравнивает снимок набора с текущим состоянием файлов
+ *
+ * 'appended' — изменился только последний файл, и он лишь вырос (тот же inode,
+ * не сжат); 'changed' — ротация, усечение или подмена файлов.
+ *
+ * @returns {'same'|'appended'|'changed'}
+ */
+export function compareSources(previous, current) {
+  if (previous.length !== current.length) return 'changed';
+  
+  const sameFile = (a, b) => a.realPath === b.realPath && a.ino === b.ino;
+  const unchanged = (a, b) => sameFile(a, b) && a.size === b.size && a.mtimeMs === b.mtimeMs;
+  
+  for (let i = 0; i < current.length - 1; i++) {
+    if (!unchanged(previous[i], current[i])) return 'changed';
+  }
+  
+  const last = previous.length - 1;
+  if (last < 0 || unchanged(previous[last], current[last])) return 'same';
+  if (sameFile(previous[last], current[last]) &&
+      !current[last].compressed &&
+      current[last].size > previous[last].size) {
+    return 'appended';
+  }
+  return 'changed';
+}
+
+/**
+ * Открывает поток чтения источника (с распаковкой gzip при необходимости)
+ * @param {object} source
+ * @param {number} start - байтовое смещение (только для несжатых файлов)
+ * @returns {{input: Readable, bytesRead: () => number, destroy: () => void}}
+ *   bytesRead — прочитано байт файла (для gz — сжатых)
+ */
+export function openSourceStream(source, start = 0) {
+  if (!source.compressed) {
+    const raw = createReadStream(source.path, { start });
+    return { input: raw, bytesRead: () => raw.bytesRead, destroy: () => raw.destroy() };
+  }
+  
+  const raw = createReadStream(source.path);
+  const gunzip = createGunzip();
+  raw.on('error', err => gunzip.destroy(err));
+  return {
+    input: raw.pipe(gunzip),
+    bytesRead: () => raw.bytesRead,
+    destroy: () => { raw.destroy(); gunzip.destroy(); }
+  };
+}
+
+/**
+ * Проверяет строку на соответствие фильтру (подстрока или RegExp)
+ */
+export function matchesFilter(text, filter) {
+  if (!filter) return true;
+  if (typeof filter === 'string') return text.includes(filter);
+  return filter.test(text);
+}
+
+/**
+ * Делит поток на строки, отслеживая байтовые смещения начала строки и
+ * следующей за ней (readline смещений не даёт). Завершающий \r (CRLF) отбрасывается.
+ */
+async function* splitLines(input, startOffset = 0) {
+  let carry = null;
+  let offset = startOffset;
+  
+  for await (const chunk of input) {
+    const buf = carry ? Buffer.concat([carry, chunk]) : chunk;
+    let start = 0;
+    let idx;
+    
+    while ((idx = buf.indexOf(0x0a, start)) !== -1) {
+      const end = idx > start && buf[idx - 1] === 0x0d ? idx - 1 : idx;
+      yield { line: buf.toString('utf8', start, end), offset: offset + start, nextOffset: offset + idx + 1 };
+      start = idx + 1;
+    }
+    
+    offset += start;
+    carry = start < buf.length ? buf.subarray(start) : null;
+  }
+  
+  if (carry) {
+    const end = carry[carry.length - 1] === 0x0d ? carry.length - 1 : carry.length;
+    yield { line: carry.toString('utf8', 0, end), offset, nextOffset: offset + carry.length };
+  }
+}
+
+/**
+ * Читает строки из набора источников как единый поток
+ *
+ * lineNum — сквозной номер строки по всему набору,
+ * fileLine — номер строки внутри файла source (sources[sourceIndex]),
+ * offset/nextOffset — байтовые смещения строки и следующей за ней
+ * (для gz — в распакованном потоке).
+ *
+ * start позволяет начать чтение с контрольной точки индекса, не читая файл
+ * с первой строки; end — индекс файла, перед которым чтение заканчивается
+ * (конец потока).
+ *
+ * Внутри вызова инструмента (progress.js) чтение сообщает прогресс, бросает
+ * CancelledError при отмене запроса и заканчивается, когда истёк бюджет времени.
+ *
+ * @param {Array} sources - результат resolveSources
+ * @param {{skip?: number, limit?: number, filter?: string|RegExp, end?: number,
+ *          start?: {sourceIndex: number, offset: number, lineNum: number, fileLine: number}}} options
+ */
+export async function* readLines(sources, options = {}) {
+  const { skip = 0, limit = Infinity, filter = null, start = null, end = sources.length } = options;
+  
+  let lineNum = start ? start.lineNum - 1 : 0;
+  let yielded = 0;
+  const first = start ? start.sourceIndex : 0;
+  const pass = beginPass(plannedBytes(sources, start, end));
+  // Прочитано байт файлов, уже закрытых этим проходом
+  let passBytes = 0;
+  
+  try {
+    for (let i = first; i < end; i++) {
+      const source = sources[i];
+      const fromStart = start && i === start.sourceIndex;
+      const startOffset = fromStart ? start.offset : 0;
+      const stream = openSourceStream(source, startOffset);
+      let fileLine = fromStart ? start.fileLine - 1 : 0;
+      
+      try {
+        for await (const { line, offset, nextOffset } of splitLines(stream.input, startOffset)) {
+          lineNum++;
+          fileLine++;
+          
+          if (pass && !pass.tick(passBytes + stream.bytesRead())) return;
+          if (lineNum <= skip) continue;
+          if (yielded >= limit) return;
+          
+          if (!matchesFilter(line, filter)) continue;
+          
+          yielded++;
+          yield { lineNum, line, source, sourceIndex: i, fileLine, offset, nextOffset };
+        }
+      } finally {
+        passBytes += stream.bytesRead();
+        stream.destroy();
+      }
+    }
+  } finally {
+    pass?.end(passBytes);
+  }
+}
+
+/**
+ * Сколько байт файлов прочитает readLines от позиции start до файла end
+ */
+function plannedBytes(sources, start, end) {
+  let bytes = 0;
+  for (let i = start ? start.sourceIndex : 0; i < end; i++) {
+    const offset = start && i === start.sourceIndex && !sources[i].compressed ? start.offset : 0;
+    bytes += Math.max(sources[i].size - offset, 0);
+  }
+  return bytes;
+}
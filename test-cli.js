@@ -11,22 +11,12 @@ import {
   buildHistogram,
   formatHistogram
 } from './timestamps.js';
-import { createReadStream, existsSync } from 'fs';
-import { createInterface } from 'readline';
-
-async function* readLines(filePath) {
-  const rl = createInterface({
-    input: createReadStream(filePath),
-    crlfDelay: Infinity
-  });
-  
-  for await (const line of rl) {
-    yield line;
-  }
-}
+import { resolveSources, readLines } from './sources.js';
+import { assembleRecords, isIndentedContinuation } from './records.js';
 
 async function analyzeLog(filePath) {
-  if (!existsSync(filePath)) {
+  const sources = resolveSources(filePath);
+  if (sources.length === 0) {
     console.error(`File not found: ${filePath}`);
     process.exit(1);
   }
@@ -39,9 +29,9 @@ async function analyzeLog(filePath) {
   const sampleLines = [];
   let lineCount = 0;
   
-  for await (const line of readLines(filePath)) {
+  for await (const { line } of readLines(sources)) {
     lineCount++;
-    if (sampleLines.length < 100) {
+    if (sampleLines.length < 100 && !isIndentedContinuation(line)) {
       sampleLines.push(line);
     }
   }
@@ -59,12 +49,13 @@ async function analyzeLog(filePath) {
   console.log('\n📊 Clustering logs...');
   const clusterer = new LogClusterer({ maxClusters: 8, threshold: 0.4 });
   const timestamps = [];
+  const timestampPattern = tsFormat ? tsFormat.pattern : null;
   
-  for await (const line of readLines(filePath)) {
-    clusterer.add(line);
+  for await (const record of assembleRecords(readLines(sources), { timestampPattern })) {
+    clusterer.add(record.key, null, record.text);
     
-    if (tsFormat) {
-      const ts = extractTimestamp(line, tsFormat.pattern);
+    if (timestampPattern) {
+      const ts = extractTimestamp(record.lines[0], timestampPattern);
       if (ts) timestamps.push(ts);
     }
   }
@@ -76,7 +67,12 @@ async function analyzeLog(filePath) {
   for (const cluster of stats) {
     const bar = '█'.repeat(Math.round(parseFloat(cluster.percent) / 5));
     console.log(`   [${cluster.id}] ${cluster.percent.padStart(5)}% ${bar}`);
-    console.log(`       Template: ${cluster.template.substring(0, 70)}${cluster.template.length > 70 ? '...' : ''}`);
+    // У корзины "other" шаблона нет: в ней строки вытесненных кластеров
+    if (cluster.template === null) {
+      console.log(`       Template: (${cluster.evicted_clusters} evicted clusters)`);
+    } else {
+      console.log(`       Template: ${cluster.template.substring(0, 70)}${cluster.template.length > 70 ? '...' : ''}`);
+    }
     console.log(`       Example:  ${cluster.examples[0].substring(0, 70)}${cluster.examples[0].length > 70 ? '...' : ''}`);
     console.log();
   }
@@ -120,6 +116,7 @@ const file = process.argv[2];
 if (!file) {
   console.log('Usage: node test-cli.js <logfile>');
   console.log('\nExample: node test-cli.js /var/log/syslog');
+  console.log("         node test-cli.js '/var/log/app.log*'");
   process.exit(1);
 }
 
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, appendFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+
+function logLines(count) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    const time = new Date(Date.UTC(2024, 0, 1) + i * 1000).toISOString();
+    if (i % 7 === 0) {
+      lines.push(`${time} ERROR request ${i} failed with NullPointerException`);
+      lines.push('    at com.app.Service.handle(Service.java:42)');
+      lines.push('    at com.app.Main.run(Main.java:10)');
+    } else {
+      lines.push(`${time} INFO user ${i} logged in from 10.0.0.${i % 200}`);
+    }
+  }
+  return lines;
+}
+
+async function connect(dir) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER, dir],
+    env: { ...process.env, LOG_EXPLORER_CACHE_DIR: join(dir, 'cache') },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'log-explorer-test', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+  return client;
+}
+
+async function clusters(client, file) {
+  const result = await client.callTool({ name: 'log_cluster', arguments: { file } });
+  assert.ok(!result.isError, result.content[0].text);
+  const { total_lines, total_records, clusters } = JSON.parse(result.content[0].text);
+  return { total_lines, total_records, clusters: clusters.map(({ id, count, template }) => ({ id, count, template })) };
+}
+
+test('lines appended to the last record cluster as after a full re-scan', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'log-explorer-append-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const lines = logLines(400);
+  // Файл обрывается внутри stack trace последней записи
+  const cut = lines.lastIndexOf('    at com.app.Service.handle(Service.java:42)') + 1;
+  const head = lines.slice(0, cut).join('\n') + '\n';
+  const tail = lines.slice(cut).join('\n') + '\n';
+  writeFileSync(join(dir, 'full.log'), head + tail);
+  writeFileSync(join(dir, 'cached.log'), head);
+  writeFileSync(join(dir, 'indexed.log'), head);
+  
+  const client = await connect(dir);
+  let expected;
+  try {
+    expected = await clusters(client, join(dir, 'full.log'));
+    await clusters(client, join(dir, 'cached.log'));
+    await clusters(client, join(dir, 'indexed.log'));
+    appendFileSync(join(dir, 'cached.log'), tail);
+    // Дочитывание из кэша в памяти
+    assert.deepEqual(await clusters(client, join(dir, 'cached.log')), expected);
+  } finally {
+    await client.close();
+  }
+  
+  // Дочитывание из индекса на диске после перезапуска
+  appendFileSync(join(dir, 'indexed.log'), tail);
+  const restarted = await connect(dir);
+  try {
+    assert.deepEqual(await clusters(restarted, join(dir, 'indexed.log')), expected);
+  } finally {
+    await restarted.close();
+  }
+});
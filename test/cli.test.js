@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../test-cli.js', import.meta.url));
+
+// Сообщения без общих слов: каждое — свой кластер
+const MESSAGES = Array.from({ length: 12 }, (_, i) => {
+  const letter = String.fromCharCode(97 + i);
+  return Array.from({ length: 6 }, (_, j) => letter.repeat(j + 3)).join(' ');
+});
+
+test('test-cli prints the "other" bucket of evicted clusters', t => {
+  const dir = mkdtempSync(join(tmpdir(), 'log-explorer-cli-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'app.log');
+  // Сообщений больше, чем кластеров у test-cli: часть вытесняется в "other"
+  const lines = [];
+  for (let i = 0; i < 240; i++) {
+    const second = String(i % 60).padStart(2, '0');
+    lines.push(`2024-01-01 10:${String(Math.floor(i / 60)).padStart(2, '0')}:${second} INFO ${MESSAGES[i % MESSAGES.length]}`);
+  }
+  writeFileSync(file, lines.join('\n') + '\n');
+  
+  const run = spawnSync(process.execPath, [CLI, file], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /\[other\]/);
+  assert.match(run.stdout, /Template: \(\d+ evicted clusters\)/);
+  assert.match(run.stdout, /Done!/);
+});
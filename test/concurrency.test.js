@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+
+const RECORDS = 60000;
+
+function writeLog(file) {
+  const lines = [];
+  for (let i = 0; i < RECORDS; i++) {
+    const time = new Date(Date.UTC(2024, 0, 1) + i * 100).toISOString();
+    lines.push(i % 3
+      ? `${time} INFO GET /api/items/${i} status=200 took=${i % 300}ms`
+      : `${time} WARN cache miss key=item:${i % 1000} after ${i % 50} retries`);
+  }
+  writeFileSync(file, lines.join('\n') + '\n');
+}
+
+/**
+ * Сервер с набором в dir; индекс на диске выключен, чтобы каждый вызов читал файл
+ */
+async function connect(dir) {
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER, dir],
+    env: { ...process.env, LOG_EXPLORER_CACHE_DIR: join(dir, 'cache'), LOG_EXPLORER_NO_INDEX: '1', LOG_EXPLORER_WORKERS: '0' },
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'log-explorer-test', version: '1.0.0' }, { capabilities: {} });
+  await client.connect(transport);
+  return client;
+}
+
+async function cluster(client, args, options = {}) {
+  const result = await client.callTool({ name: 'log_cluster', arguments: args }, undefined, { timeout: 300000, ...options });
+  assert.ok(!result.isError, result.content[0].text);
+  return JSON.parse(result.content[0].text);
+}
+
+test('concurrent scans of one file: each call keeps its own cancellation and budget', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'log-explorer-concurrency-'));
+  const file = join(dir, 'app.log');
+  writeLog(file);
+  const client = await connect(dir);
+  t.after(async () => {
+    await client.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  
+  await t.test('cancelling the first call does not fail the waiting one', async () => {
+    const controller = new AbortController();
+    // Отмена — когда общий проход уже идёт и второй вызов его ждёт
+    const first = cluster(client, { file }, {
+      signal: controller.signal,
+      onprogress: () => controller.abort()
+    });
+    const second = cluster(client, { file });
+    await assert.rejects(first);
+    const result = await second;
+    assert.equal(result.total_records, RECORDS);
+    assert.equal(result.partial, undefined);
+  });
+  
+  await t.test('a short budget does not cut the result of a call with a longer one', async () => {
+    // Другие параметры — другой ключ кэша: результат первого теста не подходит
+    const [short, full] = await Promise.all([
+      cluster(client, { file, max_clusters: 30, time_budget: 0.05 }),
+      cluster(client, { file, max_clusters: 30, time_budget: 60 })
+    ]);
+    assert.equal(full.total_records, RECORDS);
+    assert.equal(full.partial, undefined);
+    if (short.total_records < RECORDS) assert.ok(short.partial);
+  });
+});
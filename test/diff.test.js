@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchClusters, diffClusterSets } from '../diff.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function cluster(id, template, count) {
+  return { id, template, count, examples: [template.replace('<NUM>', '1')] };
+}
+
+test('matchClusters pairs equal IDs first, then similar templates', () => {
+  const baseline = [
+    cluster('a', 'user <NUM> logged in', 10),
+    cluster('b', 'payment <NUM> failed: card declined by bank', 5)
+  ];
+  const compare = [
+    cluster('a', 'user <NUM> logged in', 12),
+    cluster('c', 'payment <NUM> failed: card declined by issuer bank', 6),
+    cluster('d', 'disk full on /var', 3)
+  ];
+  const { pairs, onlyBaseline, onlyCompare } = matchClusters(baseline, compare);
+  assert.deepEqual(pairs.map(([x, y]) => [x.id, y.id]), [['a', 'a'], ['b', 'c']]);
+  assert.deepEqual(onlyBaseline, []);
+  assert.deepEqual(onlyCompare.map(c => c.id), ['d']);
+});
+
+test('diffClusterSets reports new, vanished and changed clusters per hour', () => {
+  const baseline = {
+    total: 110,
+    durationMs: HOUR_MS,
+    clusters: [cluster('a', 'user <NUM> logged in', 100), cluster('b', 'cache warmed in <NUM> ms', 10)]
+  };
+  const compare = {
+    total: 420,
+    durationMs: 2 * HOUR_MS,
+    clusters: [
+      cluster('a', 'user <NUM> logged in', 200),
+      cluster('e', 'db connection refused', 200),
+      { id: 'other', template: null, count: 20, examples: [] }
+    ]
+  };
+  const diff = diffClusterSets(baseline, compare);
+  assert.equal(diff.rate_unit, 'per_hour');
+  // 100/ч → 100/ч: частота не изменилась; "other" не сравнивается
+  assert.deepEqual(diff.summary, { new: 1, vanished: 1, changed: 0, unchanged: 1 });
+  assert.deepEqual(diff.new.map(c => [c.id, c.rate]), [['e', 100]]);
+  assert.deepEqual(diff.vanished.map(c => c.id), ['b']);
+});
+
+test('diffClusterSets compares shares without durations and honors minCount', () => {
+  const baseline = { total: 100, durationMs: 0, clusters: [cluster('a', 'x <NUM>', 10), cluster('b', 'y <NUM>', 2)] };
+  const compare = { total: 100, durationMs: 0, clusters: [cluster('a', 'x <NUM>', 40), cluster('b', 'y <NUM>', 4)] };
+  const diff = diffClusterSets(baseline, compare, { minCount: 5 });
+  assert.equal(diff.rate_unit, 'share');
+  assert.deepEqual(diff.changed.map(c => [c.id, c.direction, c.ratio]), [['a', 'up', 4]]);
+  assert.equal(diff.summary.unchanged, 1);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeLevel, levelRank, levelFromText, recordLevel, levelBreakdown, dominantLevel } from '../levels.js';
+
+test('normalizeLevel maps spellings, pino and syslog numbers', () => {
+  assert.equal(normalizeLevel('WARNING'), 'warn');
+  assert.equal(normalizeLevel(' Err '), 'error');
+  assert.equal(normalizeLevel('critical'), 'fatal');
+  assert.equal(normalizeLevel(50), 'error');
+  assert.equal(normalizeLevel('30'), 'info');
+  assert.equal(normalizeLevel(3), 'error');
+  assert.equal(normalizeLevel(''), null);
+  assert.equal(normalizeLevel('banana'), null);
+});
+
+test('levelRank orders levels and marks unknown as -1', () => {
+  assert.ok(levelRank('error') > levelRank('warn'));
+  assert.equal(levelRank(null), -1);
+});
+
+test('levelFromText reads the header, not the message', () => {
+  assert.equal(levelFromText('2024-01-01 10:00:00 ERROR db timeout'), 'error');
+  assert.equal(levelFromText('2024-01-01 10:00:00 [warn] disk almost full'), 'warn');
+  assert.equal(levelFromText('<11>Jan  1 10:00:00 host app: boom'), 'error');
+  assert.equal(levelFromText('2024-01-01 10:00:00 retrying after error in handler'), null);
+});
+
+test('recordLevel prefers the level field of structured records', () => {
+  const record = { lines: ['{"level":"debug","msg":"ERROR in text"}'], fields: { level: 'debug' } };
+  assert.equal(recordLevel(record, 'level'), 'debug');
+  assert.equal(recordLevel(record), 'error');
+});
+
+test('levelBreakdown and dominantLevel', () => {
+  // counts[0] — записи без уровня
+  assert.deepEqual(levelBreakdown([2, 0, 0, 5, 1, 3, 0]), { error: 3, warn: 1, info: 5, unknown: 2 });
+  assert.equal(dominantLevel([0, 0, 4, 1, 4, 0]), 'error');
+  assert.equal(dominantLevel([0, 0, 0, 0, 0, 0]), null);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { LogClusterer } from '../clustering.js';
+import { DrainClusterer } from '../drain.js';
+import { detectTimestampFormat } from '../timestamps.js';
+import { resolveSources, readLines } from '../sources.js';
+import { assembleRecords } from '../records.js';
+import { describeFormat, parseRecord } from '../formats.js';
+import { levelRank } from '../levels.js';
+import { LineCheckpoints } from '../index-store.js';
+import { RecordStore } from '../record-store.js';
+import { clusterInParallel } from '../parallel.js';
+
+const ENGINES = { lcs: LogClusterer, drain: DrainClusterer };
+
+function logLines(count, startMs) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    const time = new Date(startMs + i * 1000).toISOString().replace('T', ' ').slice(0, 19);
+    switch (i % 5) {
+      case 0:
+        lines.push(`${time} INFO user ${i} logged in from 10.0.${i % 200}.${i % 250}`);
+        break;
+      case 1:
+        lines.push(`${time} WARN cache miss key=item:${i * 7}`);
+        break;
+      case 2:
+        lines.push(`${time} ERROR payment ${i} failed: gateway timeout`);
+        lines.push('    at com.shop.Gateway.charge(Gateway.java:120)');
+        lines.push('    at com.shop.Checkout.pay(Checkout.java:44)');
+        break;
+      case 3:
+        lines.push(`${time} INFO GET /api/items/${i} status=200 took=${i % 300}ms`);
+        break;
+      default:
+        lines.push(`${time} DEBUG worker ${i % 4} heartbeat`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Последовательный проход — как scanRecords в server.js
+ */
+async function clusterSequentially(sources, format, Clusterer) {
+  const clusterer = new Clusterer({ maxClusters: 50, threshold: 0.5 });
+  const records = new RecordStore();
+  const checkpoints = new LineCheckpoints();
+  let totalLines = 0;
+  let totalRecords = 0;
+  const assembled = assembleRecords(checkpoints.track(readLines(sources)), { timestampPattern: format.timestampPattern });
+  for await (const record of assembled) {
+    parseRecord(record, format);
+    totalRecords++;
+    totalLines += record.lines.length;
+    const timestamp = record.timestamp;
+    const clusterId = clusterer.add(record.key, timestamp, record.text);
+    records.push(record.lineNum, timestamp ? timestamp.getTime() : NaN, clusterId, levelRank(record.level));
+  }
+  return { clusterer, records, checkpoints, totalLines, totalRecords };
+}
+
+/**
+ * Сравнимый вид результата: внутренние ID кластеров заменены стабильными
+ */
+function describe({ clusterer, records, checkpoints, totalLines, totalRecords }) {
+  return {
+    totalLines,
+    totalRecords,
+    clusters: clusterer.getStats().map(({ id, count, template, examples }) => ({ id, count, template, examples })),
+    lineNums: [...records.lineNums],
+    times: [...records.times],
+    levels: [...records.levels],
+    clusterIds: [...records.clusterIds].map(id => clusterer.resolve(id).stableId),
+    checkpointEnd: checkpoints.end
+  };
+}
+
+/**
+ * Контрольные точки диапазонов идут со своим шагом, но каждая должна указывать на свою строку
+ */
+async function assertCheckpoints(sources, checkpoints) {
+  const lines = new Map();
+  for await (const { lineNum, sourceIndex, offset, fileLine } of readLines(sources)) {
+    lines.set(lineNum, { sourceIndex, offset, lineNum, fileLine });
+  }
+  assert.ok(checkpoints.points.length > 0);
+  for (const point of checkpoints.points) assert.deepEqual(point, lines.get(point.lineNum));
+}
+
+test('parallel ranges give the same result as a sequential pass', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'log-explorer-parallel-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  // Ротированный набор: app.log.1 (старый) и app.log
+  writeFileSync(join(dir, 'app.log.1'), logLines(3000, Date.UTC(2024, 0, 1)));
+  writeFileSync(join(dir, 'app.log'), logLines(1000, Date.UTC(2024, 0, 2)));
+  const sources = resolveSources(join(dir, 'app.log*'));
+  assert.equal(sources.length, 2);
+  
+  const sample = readFileSync(sources[0].path, 'utf8').split('\n').slice(0, 100);
+  const detected = detectTimestampFormat(sample);
+  const format = describeFormat(sample, { timestampPattern: detected.pattern, timezone: 'UTC' });
+  
+  // Первый файл делится внутри на начале записи после stack trace; второй диапазон
+  // дочитывает первый файл, третий — второй файл
+  const text = readFileSync(sources[0].path, 'utf8');
+  const split = text.indexOf('\n', text.indexOf('Checkout.pay', text.length / 3)) + 1;
+  const ranges = [
+    { sourceIndex: 0, start: 0, lastIndex: 0, end: split },
+    { sourceIndex: 0, start: split, lastIndex: 0, end: Infinity },
+    { sourceIndex: 1, start: 0, lastIndex: 1, end: Infinity }
+  ];
+  
+  for (const [engine, Clusterer] of Object.entries(ENGINES)) {
+    const sequential = await clusterSequentially(sources, format, Clusterer);
+    const parallel = await clusterInParallel(sources, format, {
+      Clusterer, engine, maxClusters: 50, threshold: 0.5, filter: null, fields: null, minLevel: null,
+      maxRecords: Infinity, ranges, workers: 2
+    });
+    assert.deepEqual(describe(parallel), describe(sequential), engine);
+    await assertCheckpoints(sources, parallel.checkpoints);
+  }
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RecordStore, samplingMargin } from '../record-store.js';
+import { levelRank } from '../levels.js';
+
+function fill(store, count, from = 0) {
+  for (let i = from; i < from + count; i++) {
+    store.push(i + 1, i % 10 === 0 ? NaN : 1000 + i, i % 3, i % 2 ? levelRank('error') : -1);
+  }
+  return store;
+}
+
+test('aggregates are exact while records are sampled', () => {
+  const store = fill(new RecordStore({ maxRecords: 16 }), 100);
+  assert.equal(store.total, 100);
+  assert.equal(store.timedTotal, 90);
+  assert.equal(store.firstTime, 1001);
+  assert.equal(store.lastTime, 1099);
+  assert.equal(store.levelCounts[0], 50);
+  assert.equal(store.levelCounts[levelRank('error') + 1], 50);
+  
+  // Хранится каждая stride-я запись с начала прохода
+  assert.equal(store.stride, 8);
+  assert.deepEqual([...store.lineNums], [1, 9, 17, 25, 33, 41, 49, 57, 65, 73, 81, 89, 97]);
+  assert.deepEqual(store.describeSampling(), { every: 8, stored_records: 13, total_records: 100 });
+});
+
+test('restore keeps the stride so appended records continue the sample', () => {
+  const store = fill(new RecordStore({ maxRecords: 16 }), 100);
+  const columns = Object.fromEntries(Object.entries(store.columns()).map(([name, column]) => [name, column.slice()]));
+  const restored = RecordStore.restore(columns, store.state(), { maxRecords: 16 });
+  fill(restored, 20, 100);
+  fill(store, 20, 100);
+  assert.deepEqual([...restored.lineNums], [...store.lineNums]);
+  assert.equal(restored.total, 120);
+});
+
+test('concat brings parts to the largest stride and sums aggregates', () => {
+  const first = fill(new RecordStore({ maxRecords: 8 }), 32);
+  const second = fill(new RecordStore(), 8, 32);
+  const store = RecordStore.concat([first, second]);
+  assert.equal(store.stride, 4);
+  assert.deepEqual([...store.lineNums], [1, 5, 9, 13, 17, 21, 25, 29, 33, 37]);
+  assert.equal(store.total, 40);
+  assert.equal(store.firstTime, 1001);
+  assert.equal(store.lastTime, 1039);
+});
+
+test('rewind forgets records pushed after mark', () => {
+  const store = fill(new RecordStore(), 10);
+  const mark = store.mark();
+  fill(store, 5, 10);
+  assert.ok(store.rewind(mark));
+  fill(store, 5, 10);
+  assert.deepEqual(store, fill(fill(new RecordStore(), 10), 5, 10));
+  
+  const sampled = fill(new RecordStore({ maxRecords: 16 }), 16);
+  const before = sampled.mark();
+  fill(sampled, 1, 16);
+  assert.equal(sampled.rewind(before), false);
+});
+
+test('samplingMargin is zero without sampling and grows with the stride', () => {
+  assert.equal(samplingMargin(100, 1), 0);
+  assert.ok(samplingMargin(100, 8) > samplingMargin(100, 2));
+});
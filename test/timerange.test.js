@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDuration, formatDuration, parseTimeBound, parseTimeRange, TimeWindow, findRangeStart } from '../timerange.js';
+
+const MINUTE = 60 * 1000;
+
+test('parseDuration and formatDuration round-trip', () => {
+  assert.equal(parseDuration('1h30m'), 90 * MINUTE);
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration('15 minutes'), null);
+  assert.equal(formatDuration(90 * MINUTE), '1h30m');
+  assert.equal(formatDuration(-1500), '-1s500ms');
+  assert.equal(formatDuration(0), '0s');
+});
+
+test('parseTimeBound resolves relative and absolute bounds', () => {
+  const now = Date.UTC(2024, 0, 2);
+  const logEnd = Date.UTC(2024, 0, 1, 12);
+  assert.equal(parseTimeBound('-15m', { logEnd, now }), logEnd - 15 * MINUTE);
+  assert.equal(parseTimeBound('now-1h', { now }), now - 60 * MINUTE);
+  assert.equal(parseTimeBound('+10m', { base: logEnd }), logEnd + 10 * MINUTE);
+  assert.equal(parseTimeBound('2024-01-01T10:00:00Z'), Date.UTC(2024, 0, 1, 10));
+  assert.equal(parseTimeBound(undefined), undefined);
+  assert.equal(parseTimeBound('-15m'), null);
+  assert.equal(parseTimeBound('yesterday'), null);
+});
+
+test('parseTimeRange validates the pair', () => {
+  const logEnd = Date.UTC(2024, 0, 1, 12);
+  assert.deepEqual(parseTimeRange('-1h', '+30m', { logEnd }), { since: logEnd - 60 * MINUTE, until: logEnd - 30 * MINUTE });
+  assert.deepEqual(parseTimeRange('-1h', null, { logEnd }), { since: logEnd - 60 * MINUTE, until: Infinity });
+  assert.equal(parseTimeRange(null, null), null);
+  assert.match(parseTimeRange('-5m', '-10m', { logEnd }).error, /later than since/);
+  assert.match(parseTimeRange('soon', null).error, /Invalid since/);
+});
+
+test('TimeWindow carries the last timestamp over untimed records', () => {
+  const window = new TimeWindow({ since: 100, until: 200 });
+  assert.equal(window.position(null), -1);
+  assert.equal(window.position(150), 0);
+  assert.equal(window.position(NaN), 0);
+  assert.equal(window.position(200), 1);
+  assert.equal(new TimeWindow({ since: -Infinity, until: 200 }).position(null), 0);
+});
+
+test('findRangeStart returns the last checkpoint before since', async () => {
+  const points = [0, 1, 2, 3, 4].map(i => ({ lineNum: i * 1000 + 1 }));
+  const times = [10, 20, null, 40, 50];
+  const probe = async point => times[(point.lineNum - 1) / 1000];
+  assert.equal(await findRangeStart(points, 45, probe), points[3]);
+  assert.equal(await findRangeStart(points, 35, probe), points[2]);
+  assert.equal(await findRangeStart(points, 5, async point => (point.lineNum - 1) / 100 + 10), null);
+});
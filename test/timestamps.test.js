@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  strptimeToRegExp,
+  compileTimestampConfig,
+  setTimestampConfig,
+  getTimestampPattern,
+  timezoneForFile,
+  detectTimestampFormat,
+  extractTimestamp,
+  parseTimestampValue
+} from '../timestamps.js';
+
+test('strptimeToRegExp builds named groups', () => {
+  const { groups } = '19.03.2024 07:05:09 start'.match(strptimeToRegExp('%d.%m.%Y %H:%M:%S'));
+  assert.deepEqual({ ...groups }, { day: '19', month: '03', year: '2024', hour: '07', minute: '05', second: '09' });
+  assert.throws(() => strptimeToRegExp('%Q'), /Unsupported directive %Q/);
+});
+
+test('compileTimestampConfig rejects bad names, patterns and zones', () => {
+  assert.throws(() => compileTimestampConfig({ formats: [{ name: 'Bad', format: '%Y' }] }), /Invalid timestamp format name/);
+  assert.throws(() => compileTimestampConfig({ formats: [{ name: 'x', pattern: '\\d+' }] }), /no named groups/);
+  assert.throws(() => compileTimestampConfig({ timezone: 'Mars/Olympus' }), /Invalid timezone/);
+});
+
+test('fixed offsets and IANA zones apply to timestamps without an offset', () => {
+  const pattern = getTimestampPattern('simple');
+  const line = '2024-07-01 12:00:00 INFO started';
+  assert.equal(extractTimestamp(line, pattern, { timezone: 'UTC' }).toISOString(), '2024-07-01T12:00:00.000Z');
+  assert.equal(extractTimestamp(line, pattern, { timezone: '+02:00' }).toISOString(), '2024-07-01T10:00:00.000Z');
+  assert.equal(extractTimestamp(line, pattern, { timezone: 'America/New_York' }).toISOString(), '2024-07-01T16:00:00.000Z');
+  assert.equal(extractTimestamp('2024-07-01T12:00:00+03:00 x', getTimestampPattern('iso8601'), { timezone: 'UTC' }).toISOString(),
+    '2024-07-01T09:00:00.000Z');
+});
+
+test('timestamps without a year take the year of the anchor or the year before', () => {
+  const pattern = getTimestampPattern('syslog');
+  const anchor = Date.UTC(2024, 0, 5);
+  assert.equal(extractTimestamp('Jan  3 10:00:00 host app: x', pattern, { timezone: 'UTC', anchor }).getUTCFullYear(), 2024);
+  assert.equal(extractTimestamp('Dec 30 10:00:00 host app: x', pattern, { timezone: 'UTC', anchor }).getUTCFullYear(), 2023);
+});
+
+test('parseTimestampValue reads epoch seconds and milliseconds', () => {
+  assert.equal(parseTimestampValue(1700000000).getTime(), 1700000000000);
+  assert.equal(parseTimestampValue('1700000000123').getTime(), 1700000000123);
+});
+
+test('custom formats win detection and per-file zones match by glob', t => {
+  t.after(() => setTimestampConfig());
+  setTimestampConfig(compileTimestampConfig({
+    formats: [{ name: 'dotted', format: '%d.%m.%Y %H:%M:%S' }],
+    timezone: 'UTC',
+    file_timezones: { '**/berlin/*.log': 'Europe/Berlin' }
+  }));
+  
+  const lines = Array.from({ length: 10 }, (_, i) => `0${i}.03.2024 10:00:00 tick ${i}`);
+  const detected = detectTimestampFormat(lines);
+  assert.equal(detected.pattern.name, 'dotted');
+  assert.equal(extractTimestamp(lines[1], detected.pattern).toISOString(), '2024-03-01T10:00:00.000Z');
+  assert.equal(timezoneForFile('/var/log/berlin/app.log'), 'Europe/Berlin');
+  assert.equal(timezoneForFile('/var/log/app.log'), 'UTC');
+});
@@ -0,0 +1,169 @@
+/**
+ * Time Range Module
+ *
+ * Окно времени since/until для инструментов: разбор границ (абсолютных и
+ * относительных), положение записи относительно окна и поиск начала окна
+ * бинарным поиском по контрольным точкам байтовых смещений
+ */
+
+import { parseTimestampValue } from './timestamps.js';
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Разбирает длительность: "15m", "90s", "1h30m", "2d"
+ * @returns {number|null} миллисекунды
+ */
+export function parseDuration(text) {
+  const trimmed = String(text).trim();
+  if (!/^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d))+$/.test(trimmed)) return null;
+  let total = 0;
+  for (const [, value, unit] of trimmed.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)) {
+    total += parseFloat(value) * UNIT_MS[unit];
+  }
+  return total;
+}
+
+/**
+ * Длительность в коротком виде: 5400000 → "1h30m"
+ */
+export function formatDuration(ms) {
+  if (ms === 0) return '0s';
+  let rest = Math.abs(ms);
+  let text = '';
+  for (const unit of ['d', 'h', 'm', 's']) {
+    const count = Math.floor(rest / UNIT_MS[unit]);
+    if (count > 0) {
+      text += `${count}${unit}`;
+      rest -= count * UNIT_MS[unit];
+    }
+  }
+  if (rest > 0 || !text) text += `${rest}ms`;
+  return (ms < 0 ? '-' : '') + text;
+}
+
+/**
+ * Граница задана относительно последней записи лога ("-15m")
+ */
+export function isRelativeToLogEnd(value) {
+  return typeof value === 'string' && value.trim().startsWith('-');
+}
+
+/**
+ * Разбирает границу окна:
+ * - "-15m" — за 15 минут до последней записи лога (logEnd);
+ * - "now", "now-1h" — относительно текущего времени;
+ * - "+10m" — через 10 минут после base (начала окна);
+ * - иначе ISO, метка времени в формате лога или epoch.
+ *
+ * @returns {number|null|undefined} миллисекунды; null — не разобрана;
+ *   undefined — граница не задана
+ */
+export function parseTimeBound(value, { logEnd = null, base = null, now = Date.now() } = {}) {
+  if (value === null || value === undefined || value === '') return undefined;
+  const text = String(value).trim();
+  
+  const relativeToNow = text.match(/^now(?:\s*([+-])\s*(\S+))?$/i);
+  if (relativeToNow) {
+    if (!relativeToNow[1]) return now;
+    const duration = parseDuration(relativeToNow[2]);
+    if (duration === null) return null;
+    return relativeToNow[1] === '-' ? now - duration : now + duration;
+  }
+  
+  if (text.startsWith('-') || text.startsWith('+')) {
+    const duration = parseDuration(text.slice(1));
+    const anchor = text.startsWith('-') ? logEnd : base;
+    if (duration === null || anchor === null || anchor === undefined) return null;
+    return text.startsWith('-') ? anchor - duration : anchor + duration;
+  }
+  
+  const date = parseTimestampValue(text) || new Date(text);
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+/**
+ * Разбирает пару since/until
+ * @returns {{since: number, until: number}|{error: string}|null} незаданная граница — ±Infinity;
+ *   null — окно не задано
+ */
+export function parseTimeRange(since, until, { logEnd = null, now = Date.now() } = {}) {
+  const sinceMs = parseTimeBound(since, { logEnd, now });
+  if (sinceMs === null) {
+    return { error: `Invalid since: ${since}. Use ISO time, a log timestamp, "-15m" or "now-1h"` };
+  }
+  const untilMs = parseTimeBound(until, { logEnd, now, base: sinceMs ?? null });
+  if (untilMs === null) {
+    return { error: `Invalid until: ${until}. Use ISO time, a log timestamp, "-5m", "now" or "+10m" (after since)` };
+  }
+  if (sinceMs === undefined && untilMs === undefined) return null;
+  if (sinceMs !== undefined && untilMs !== undefined && untilMs <= sinceMs) {
+    return { error: 'until must be later than since' };
+  }
+  return { since: sinceMs ?? -Infinity, until: untilMs ?? Infinity };
+}
+
+/**
+ * Окно в ответе инструмента
+ */
+export function describeTimeRange(range) {
+  if (!range) return undefined;
+  return {
+    since: isFinite(range.since) ? new Date(range.since).toISOString() : null,
+    until: isFinite(range.until) ? new Date(range.until).toISOString() : null
+  };
+}
+
+/**
+ * Положение последовательных записей относительно окна
+ *
+ * Запись без метки времени наследует время предыдущей; записи до первой метки
+ * считаются лежащими до окна, если у него есть нижняя граница.
+ */
+export class TimeWindow {
+  constructor(range) {
+    this.since = range.since;
+    this.until = range.until;
+    this.lastTime = null;
+  }
+  
+  /**
+   * @param {number|null} time - миллисекунды или null/NaN
+   * @returns {number} -1 — до окна, 0 — в окне, 1 — после окна
+   */
+  position(time) {
+    if (time !== null && time !== undefined && !isNaN(time)) this.lastTime = time;
+    if (this.lastTime === null) return this.since === -Infinity ? 0 : -1;
+    if (this.lastTime < this.since) return -1;
+    return this.lastTime < this.until ? 0 : 1;
+  }
+}
+
+/**
+ * Контрольная точка, с которой начинать чтение окна: последняя точка, после
+ * которой первая метка времени раньше since. Лог считается упорядоченным по времени,
+ * поэтому достаточно бинарного поиска по точкам — O(log n) коротких чтений.
+ *
+ * @param {Array} points - LineCheckpoints.points
+ * @param {number} since
+ * @param {Function} probe - async (point) => миллисекунды первой метки после точки или null
+ * @returns {Promise<object|null>} точка или null — читать с начала
+ */
+export async function findRangeStart(points, since, probe) {
+  let lo = 0;
+  let hi = points.length - 1;
+  let best = null;
+  
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const time = await probe(points[mid]);
+    // Участок без меток не сдвигает окно назад: начало ищется правее
+    if (time === null || time < since) {
+      best = points[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return best;
+}
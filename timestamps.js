@@ -4,106 +4,371 @@
  * Автоматическое определение и извлечение временных меток из логов
  */
 
+import { globToRegExp } from './sources.js';
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Формат определяется по первым строкам с меткой времени: баннер в начале файла не в счёт,
+// но совпадений должно быть хотя бы столько (или половина выборки)
+const MIN_DETECT_MATCHES = 5;
+
+/*
+ * Паттерн — regex с именованными группами: year, month (число или имя), day,
+ * hour, minute, second, fraction, ampm, offset (Z, +02:00, +0200), epoch (секунды),
+ * epoch_ms. Без year год выводится (inferYear), без offset время считается
+ * по часовому поясу файла.
+ */
+
 // Распространённые форматы временных меток
 const TIMESTAMP_PATTERNS = [
-  // ISO 8601
+  // ISO 8601: 2024-01-15T10:30:00.123Z, 2024-01-15 10:30:00,123
   {
     name: 'iso8601',
-    regex: /(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/,
-    parse: (match) => new Date(match[1])
+    regex: /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})[T ](?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})(?:[.,](?<fraction>\d+))?(?<offset>Z|[+-]\d{2}:?\d{2})?/
   },
   // Common log format: [15/Jan/2024:10:30:00 +0000]
   {
     name: 'clf',
-    regex: /\[(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-]\d{4})\]/,
-    parse: (match) => {
-      const months = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, 
-                       Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
-      return new Date(
-        parseInt(match[3]), months[match[2]], parseInt(match[1]),
-        parseInt(match[4]), parseInt(match[5]), parseInt(match[6])
-      );
-    }
+    regex: /\[(?<day>\d{2})\/(?<month>\w{3})\/(?<year>\d{4}):(?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2}) (?<offset>[+-]\d{4})\]/
   },
-  // Syslog: Jan 15 10:30:00
+  // Syslog: Jan 15 10:30:00 (без года)
   {
     name: 'syslog',
-    regex: /(\w{3})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})/,
-    parse: (match) => {
-      const months = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, 
-                       Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
-      const now = new Date();
-      return new Date(
-        now.getFullYear(), months[match[1]], parseInt(match[2]),
-        parseInt(match[3]), parseInt(match[4]), parseInt(match[5])
-      );
-    }
+    regex: /(?<month>\w{3})\s+(?<day>\d{1,2})\s+(?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})/
   },
   // Simple date: 2024-01-15 10:30:00
   {
     name: 'simple',
-    regex: /(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})/,
-    parse: (match) => new Date(`${match[1]}T${match[2]}`)
+    regex: /(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2}) (?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})/
   },
   // Epoch milliseconds: 1705315800000
   {
     name: 'epoch_ms',
-    regex: /\b(1[4-9]\d{11})\b/,
-    parse: (match) => new Date(parseInt(match[1]))
+    regex: /\b(?<epoch_ms>1[4-9]\d{11})\b/
   },
   // Epoch seconds: 1705315800
   {
     name: 'epoch_s',
-    regex: /\b(1[4-9]\d{8})\b/,
-    parse: (match) => new Date(parseInt(match[1]) * 1000)
+    regex: /\b(?<epoch>1[4-9]\d{8})\b/
   },
   // Bracket format: [2024-01-15 10:30:00]
   {
     name: 'bracket',
-    regex: /\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\]/,
-    parse: (match) => new Date(match[1].replace(' ', 'T'))
+    regex: /\[(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2}) (?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})(?:\.(?<fraction>\d+))?\]/
   }
 ];
 
+// Пользовательские форматы (проверяются раньше встроенных) и часовые пояса файлов
+let customPatterns = [];
+let defaultTimezone = 'local';
+let fileTimezones = [];
+
+// Директивы strptime → фрагменты regex с именованными группами
+const STRPTIME_DIRECTIVES = {
+  Y: '(?<year>\\d{4})',
+  y: '(?<year>\\d{2})',
+  m: '(?<month>\\d{1,2})',
+  b: '(?<month>[A-Za-z]{3})',
+  B: '(?<month>[A-Za-z]{3})[A-Za-z]*',
+  d: '(?<day>\\d{1,2})',
+  e: '\\s?(?<day>\\d{1,2})',
+  H: '(?<hour>\\d{1,2})',
+  I: '(?<hour>\\d{1,2})',
+  p: '(?<ampm>[AaPp][Mm])',
+  M: '(?<minute>\\d{2})',
+  S: '(?<second>\\d{2})',
+  f: '(?<fraction>\\d{1,9})',
+  z: '(?<offset>Z|[+-]\\d{2}:?\\d{2})',
+  Z: '[A-Z]{2,5}',
+  a: '[A-Za-z]{3}',
+  A: '[A-Za-z]+',
+  s: '(?<epoch>\\d{9,10})',
+  '%': '%'
+};
+
+/**
+ * Преобразует формат strptime ("%d.%m.%Y %H:%M:%S") в regex с именованными группами
+ */
+export function strptimeToRegExp(format) {
+  let source = '';
+  for (let i = 0; i < format.length; i++) {
+    const char = format[i];
+    if (char === '%') {
+      const directive = format[++i];
+      if (!STRPTIME_DIRECTIVES[directive]) {
+        throw new Error(`Unsupported directive %${directive ?? ''} in "${format}"`);
+      }
+      source += STRPTIME_DIRECTIVES[directive];
+    } else if (/\s/.test(char)) {
+      source += '\\s+';
+      while (/\s/.test(format[i + 1] || '')) i++;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(source);
+}
+
+/**
+ * Проверяет часовой пояс: "local", "UTC", смещение "+02:00" или имя IANA ("Europe/Berlin")
+ */
+function validateTimezone(timezone) {
+  if (timezone === 'local' || parseOffset(timezone) !== null) return timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (e) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+}
+
+/**
+ * Компилирует конфигурацию форматов времени
+ *
+ * @param {{formats?: Array<{name: string, format?: string, pattern?: string, flags?: string}>,
+ *          timezone?: string, file_timezones?: object}} config
+ *   format — strptime ("%d/%m/%Y %H:%M:%S"), pattern — regex с именованными группами;
+ *   file_timezones — glob пути → часовой пояс
+ */
+export function compileTimestampConfig(config = {}) {
+  const formats = (config.formats || []).map(({ name, format, pattern, flags = '' }) => {
+    if (!/^[a-z][a-z0-9_]*$/.test(name || '')) {
+      throw new Error(`Invalid timestamp format name: ${name} (use lower_case)`);
+    }
+    if (!format && !pattern) {
+      throw new Error(`Timestamp format ${name} needs "format" or "pattern"`);
+    }
+    const regex = format ? strptimeToRegExp(format) : new RegExp(pattern, flags);
+    if (!/\(\?<(?:month|epoch|epoch_ms)>/.test(regex.source)) {
+      throw new Error(`Timestamp format ${name} has no named groups (year, month, day, hour, ... or epoch)`);
+    }
+    return { name, regex, custom: true };
+  });
+  
+  return {
+    formats,
+    timezone: validateTimezone(config.timezone || 'local'),
+    fileTimezones: Object.entries(config.file_timezones || {}).map(([glob, timezone]) => ({
+      regex: globToRegExp(glob),
+      timezone: validateTimezone(timezone)
+    }))
+  };
+}
+
+/**
+ * Устанавливает пользовательские форматы и часовые пояса для всего сервера
+ */
+export function setTimestampConfig({ formats = [], timezone = 'local', fileTimezones: zones = [] } = {}) {
+  customPatterns = formats;
+  defaultTimezone = timezone;
+  fileTimezones = zones;
+}
+
+/**
+ * Текущая конфигурация в виде, который принимает setTimestampConfig
+ */
+export function getTimestampConfig() {
+  return { formats: customPatterns, timezone: defaultTimezone, fileTimezones };
+}
+
+/**
+ * Подпись пользовательских форматов и поясов — часть ключа кэша кластеризации
+ */
+export function timestampSignature() {
+  return [
+    ...customPatterns.map(p => `${p.name}=${p.regex.source}`),
+    defaultTimezone,
+    ...fileTimezones.map(z => `${z.regex.source}=${z.timezone}`)
+  ].join('|');
+}
+
+/**
+ * Часовой пояс файла: первое совпадение file_timezones по пути, иначе пояс по умолчанию
+ */
+export function timezoneForFile(path) {
+  const zone = fileTimezones.find(z => z.regex.test(path));
+  return zone ? zone.timezone : defaultTimezone;
+}
+
+function allPatterns() {
+  return customPatterns.length > 0 ? [...customPatterns, ...TIMESTAMP_PATTERNS] : TIMESTAMP_PATTERNS;
+}
+
+/**
+ * Смещение "+02:00", "-0500", "Z" или "UTC" в минутах
+ * @returns {number|null}
+ */
+function parseOffset(text) {
+  if (text === 'Z' || text === 'UTC') return 0;
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+// Форматтеры Intl и смещения поясов по часам: Intl медленный, а смещение меняется редко
+const zoneFormatters = new Map();
+const zoneOffsets = new Map();
+const MAX_CACHED_OFFSETS = 100000;
+
+/**
+ * Смещение пояса IANA (мс) в момент utcMs
+ */
+function zoneOffsetMs(timezone, utcMs) {
+  const hour = Math.floor(utcMs / 3600000);
+  const key = `${timezone}:${hour}`;
+  if (zoneOffsets.has(key)) return zoneOffsets.get(key);
+  
+  if (!zoneFormatters.has(timezone)) {
+    zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const at = hour * 3600000;
+  const parts = {};
+  for (const { type, value } of zoneFormatters.get(timezone).formatToParts(new Date(at))) {
+    parts[type] = parseInt(value, 10);
+  }
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - at;
+  
+  if (zoneOffsets.size >= MAX_CACHED_OFFSETS) zoneOffsets.clear();
+  zoneOffsets.set(key, offset);
+  return offset;
+}
+
+/**
+ * Момент времени по показаниям часов в поясе timezone
+ * @returns {number} миллисекунды UTC
+ */
+function wallClockToUtc(parts, timezone) {
+  const { year, month, day, hour, minute, second, ms } = parts;
+  if (timezone === 'local') {
+    return new Date(year, month, day, hour, minute, second, ms).getTime();
+  }
+  const wall = Date.UTC(year, month, day, hour, minute, second, ms);
+  const fixed = parseOffset(timezone);
+  if (fixed !== null) return wall - fixed * 60000;
+  
+  // Смещение в момент "wall как UTC" может отличаться от нужного у перехода на летнее время
+  const guess = wall - zoneOffsetMs(timezone, wall);
+  const offset = zoneOffsetMs(timezone, guess);
+  return wall - offset;
+}
+
+/**
+ * Компоненты времени из совпадения паттерна
+ * @returns {object|null} null — значения вне допустимых диапазонов
+ */
+function matchParts(groups) {
+  if (groups.epoch_ms !== undefined) return { epochMs: parseInt(groups.epoch_ms, 10) };
+  if (groups.epoch !== undefined) return { epochMs: parseInt(groups.epoch, 10) * 1000 };
+  
+  const month = /^\d+$/.test(groups.month || '')
+    ? parseInt(groups.month, 10) - 1
+    : MONTHS[(groups.month || '').slice(0, 3).toLowerCase()];
+  let hour = parseInt(groups.hour || '0', 10);
+  if (groups.ampm) {
+    const pm = groups.ampm.toLowerCase() === 'pm';
+    if (pm && hour < 12) hour += 12;
+    if (!pm && hour === 12) hour = 0;
+  }
+  let year = groups.year !== undefined ? parseInt(groups.year, 10) : null;
+  if (year !== null && groups.year.length === 2) year += 2000;
+  
+  const parts = {
+    year,
+    month,
+    day: parseInt(groups.day || '1', 10),
+    hour,
+    minute: parseInt(groups.minute || '0', 10),
+    second: parseInt(groups.second || '0', 10),
+    ms: groups.fraction ? parseInt(groups.fraction.slice(0, 3).padEnd(3, '0'), 10) : 0,
+    offset: groups.offset ? parseOffset(groups.offset) : null
+  };
+  const valid = month !== undefined && month >= 0 && month < 12 &&
+    parts.day >= 1 && parts.day <= 31 && hour < 24 && parts.minute < 60 && parts.second < 61;
+  return valid ? parts : null;
+}
+
+function partsToTime(parts, timezone) {
+  if (parts.offset !== null) {
+    const { year, month, day, hour, minute, second, ms } = parts;
+    return Date.UTC(year, month, day, hour, minute, second, ms) - parts.offset * 60000;
+  }
+  return wallClockToUtc(parts, timezone);
+}
+
+/**
+ * Год для формата без года: год момента anchor (mtime файла) или предыдущий,
+ * если метка оказалась бы позже anchor — декабрьские строки, прочитанные в январе,
+ * относятся к прошлому году. Для файла короче года метки идут монотонно и через Новый год.
+ */
+function inferYear(parts, timezone, anchor) {
+  const year = new Date(anchor).getUTCFullYear();
+  const time = partsToTime({ ...parts, year }, timezone);
+  return time > anchor + DAY_MS ? year - 1 : year;
+}
+
+/**
+ * Время по совпадению паттерна
+ * @param {{timezone?: string, anchor?: number}} options - пояс для меток без смещения;
+ *   anchor — момент, не позже которого лежат метки без года (mtime файла)
+ * @returns {Date|null}
+ */
+function matchToDate(match, { timezone = defaultTimezone, anchor = Date.now() } = {}) {
+  const parts = matchParts(match.groups || {});
+  if (!parts) return null;
+  if (parts.epochMs !== undefined) return new Date(parts.epochMs);
+  if (parts.year === null) parts.year = inferYear(parts, timezone, anchor);
+  const date = new Date(partsToTime(parts, timezone));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Возвращает паттерн по имени (для восстановления из сохранённого индекса)
+ * @param {string} name 
+ * @returns {object | null}
+ */
+export function getTimestampPattern(name) {
+  return allPatterns().find(p => p.name === name) || null;
+}
+
 /**
  * Определяет формат временной метки из строк
+ *
+ * Доля строк с меткой считается от первой совпавшей строки: баннер или заголовок
+ * в начале файла не снижают confidence.
+ *
  * @param {string[]} sampleLines - примеры строк лога
  * @returns {{pattern: object, confidence: number} | null}
  */
 export function detectTimestampFormat(sampleLines) {
-  const scores = new Map();
+  const minMatches = Math.min(MIN_DETECT_MATCHES, Math.ceil(sampleLines.length / 2));
+  let bestPattern = null;
+  let bestScore = 0;
   
-  for (const pattern of TIMESTAMP_PATTERNS) {
-    let matches = 0;
+  for (const pattern of allPatterns()) {
+    let firstMatch = -1;
     let validDates = 0;
     
-    for (const line of sampleLines) {
+    sampleLines.forEach((line, i) => {
       const match = line.match(pattern.regex);
-      if (match) {
-        matches++;
-        try {
-          const date = pattern.parse(match);
-          if (date && !isNaN(date.getTime())) {
-            validDates++;
-          }
-        } catch (e) {
-          // Invalid date
-        }
+      if (match && matchToDate(match)) {
+        if (firstMatch < 0) firstMatch = i;
+        validDates++;
       }
-    }
+    });
     
-    if (matches > 0) {
-      scores.set(pattern, { matches, validDates, confidence: validDates / sampleLines.length });
-    }
-  }
-  
-  // Выбираем паттерн с наибольшим confidence
-  let bestPattern = null;
-  let bestScore = 0;
-  
-  for (const [pattern, score] of scores) {
-    if (score.confidence > bestScore) {
-      bestScore = score.confidence;
+    if (validDates < minMatches) continue;
+    const confidence = validDates / (sampleLines.length - firstMatch);
+    // При равном confidence побеждает паттерн, проверенный раньше (пользовательский)
+    if (confidence > bestScore) {
+      bestScore = confidence;
       bestPattern = pattern;
     }
   }
@@ -119,19 +384,33 @@ export function detectTimestampFormat(sampleLines) {
  * Извлекает временную метку из строки
  * @param {string} line 
  * @param {object} pattern 
+ * @param {{timezone?: string, anchor?: number}} options - см. matchToDate
  * @returns {Date | null}
  */
-export function extractTimestamp(line, pattern) {
+export function extractTimestamp(line, pattern, options = {}) {
   const match = line.match(pattern.regex);
-  if (match) {
-    try {
-      const date = pattern.parse(match);
-      if (date && !isNaN(date.getTime())) {
-        return date;
-      }
-    } catch (e) {
-      // Invalid date
-    }
+  return match ? matchToDate(match, options) : null;
+}
+
+/**
+ * Разбирает значение поля времени структурированного лога
+ * (epoch в секундах/миллисекундах или строка любого известного формата)
+ * @param {string|number} value 
+ * @param {{timezone?: string, anchor?: number}} options
+ * @returns {Date | null}
+ */
+export function parseTimestampValue(value, options = {}) {
+  const text = String(value).trim();
+  
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const num = parseFloat(text);
+    const date = new Date(num >= 1e11 ? num : num * 1000);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  
+  for (const pattern of allPatterns()) {
+    const date = extractTimestamp(text, pattern, options);
+    if (date) return date;
   }
   return null;
 }
@@ -172,19 +451,32 @@ export function calculateBucketSize(minDate, maxDate, targetBuckets = 20) {
 
 /**
  * Строит гистограмму по времени
- * @param {Date[]} timestamps 
+ *
+ * Один проход без сортировки и копирования: подходит для массивов времён
+ * по миллионам записей. Без grid нужен ещё проход за границами, поэтому
+ * timestamps — массив; с grid — любой iterable (например, генератор)
+ * @param {Iterable<Date|number>} timestamps - Date или epoch ms; NaN пропускаются
  * @param {{size: number, unit: string}} bucket 
+ * @param {{start: number, end: number}|null} grid - общий диапазон (мс) для нескольких
+ *   гистограмм: bucket'ы совпадают, даже если у рядов разные первые и последние метки
+ * @param {number} weight - вклад одной метки (шаг выборки записей)
  * @returns {Array<{start: Date, end: Date, count: number}>}
  */
-export function buildHistogram(timestamps, bucket) {
-  if (timestamps.length === 0) return [];
-  
-  const sorted = [...timestamps].sort((a, b) => a.getTime() - b.getTime());
-  const minTime = sorted[0].getTime();
-  const maxTime = sorted[sorted.length - 1].getTime();
+export function buildHistogram(timestamps, bucket, grid = null, weight = 1) {
+  let minTime = grid ? grid.start : Infinity;
+  let maxTime = grid ? grid.end : -Infinity;
+  if (!grid) {
+    for (const ts of timestamps) {
+      const time = +ts;
+      if (time < minTime) minTime = time;
+      if (time > maxTime) maxTime = time;
+    }
+    if (minTime === Infinity) return [];
+  }
   
   const buckets = [];
-  let currentStart = Math.floor(minTime / bucket.size) * bucket.size;
+  const firstStart = Math.floor(minTime / bucket.size) * bucket.size;
+  let currentStart = firstStart;
   
   while (currentStart <= maxTime) {
     buckets.push({
@@ -195,10 +487,10 @@ export function buildHistogram(timestamps, bucket) {
     currentStart += bucket.size;
   }
   
-  for (const ts of sorted) {
-    const bucketIdx = Math.floor((ts.getTime() - buckets[0].start.getTime()) / bucket.size);
+  for (const ts of timestamps) {
+    const bucketIdx = Math.floor((+ts - firstStart) / bucket.size);
     if (bucketIdx >= 0 && bucketIdx < buckets.length) {
-      buckets[bucketIdx].count++;
+      buckets[bucketIdx].count += weight;
     }
   }
   
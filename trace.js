@@ -0,0 +1,133 @@
+/**
+ * Trace Module
+ *
+ * Сквозной запрос по ID (request_id, trace_id, имя потока): извлечение ID
+ * из записи, признак неуспешного шага и сводка по трассам — самые долгие
+ * и завершившиеся ошибкой
+ */
+
+// Поля структурированных логов, в которых ищется ID запроса
+const ID_FIELDS = [
+  'request_id', 'requestId', 'req_id', 'trace_id', 'traceId',
+  'correlation_id', 'correlationId', 'x_request_id'
+];
+
+// ID в тексте: request_id=abc, trace_id: "abc", traceId=abc
+const DEFAULT_ID_PATTERN = /\b(?:request_?id|req_?id|trace_?id|correlation_?id)["']?\s*[=:]\s*["']?([\w.:-]+)/i;
+
+// Шаг считается неуспешным по уровню, исключению или ответу 5xx
+const FAILURE_PATTERN = /\b(?:ERROR|FATAL|CRITICAL|FAIL(?:ED|URE)?|panic)\b|Exception\b|\bstatus["']?\s*[=:]\s*["']?5\d\d\b/i;
+
+// Сводка хранит не больше стольких трасс: память не зависит от размера кластера
+export const MAX_TRACES = 1000;
+
+/**
+ * Извлекает ID трассы из записи
+ *
+ * @param {object} record - запись readRecords (с fields для JSON/logfmt)
+ * @param {RegExp|null} pattern - пользовательский regex: группа "id", первая группа
+ *   или всё совпадение; без него — поля ID_FIELDS и DEFAULT_ID_PATTERN
+ * @returns {string|null}
+ */
+export function extractTraceId(record, pattern = null) {
+  if (pattern) {
+    const match = record.text.match(pattern);
+    if (!match) return null;
+    return match.groups?.id ?? match[1] ?? match[0];
+  }
+
+  if (record.fields) {
+    for (const name of ID_FIELDS) {
+      const value = record.fields[name];
+      if (value !== undefined && value !== null && value !== '') return String(value);
+    }
+  }
+  const match = record.text.match(DEFAULT_ID_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Regex вхождения ID целиком: req-12 не находит req-123
+ */
+export function traceIdMatcher(id) {
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\w.:-])${escaped}(?![\\w.:-])`);
+}
+
+/**
+ * Шаг трассы неуспешен: уровень ERROR/FATAL, исключение, failed или статус 5xx
+ */
+export function isFailure(record) {
+  return FAILURE_PATTERN.test(record.text);
+}
+
+/**
+ * Процентиль отсортированного массива (ближайший ранг)
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * Накопитель трасс для сводки по кластеру
+ *
+ * Записи добавляются в порядке времени; у трассы запоминаются границы во времени,
+ * число шагов, потоки и первая неуспешная запись.
+ */
+export class TraceSummary {
+  constructor(ids) {
+    this.traces = new Map([...ids].map(id => [id, {
+      id,
+      first: null,
+      last: null,
+      steps: 0,
+      sources: new Set(),
+      failure: null
+    }]));
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} record
+   * @param {string|null} clusterId - кластер записи
+   */
+  add(id, record, clusterId = null) {
+    const trace = this.traces.get(id);
+    if (!trace) return;
+    trace.steps++;
+    if (record.source?.streamName) trace.sources.add(record.source.streamName);
+
+    const time = record.timestamp ? record.timestamp.getTime() : null;
+    if (time !== null) {
+      if (trace.first === null || time < trace.first) trace.first = time;
+      if (trace.last === null || time > trace.last) trace.last = time;
+    }
+    if (!trace.failure && isFailure(record)) {
+      trace.failure = { lineNum: record.lineNum, clusterId, text: record.lines[0] };
+    }
+  }
+
+  /**
+   * @returns {{traces: number, failed: number, durations: object|null,
+   *            slowest: object[], failedTraces: object[]}} длительности — миллисекунды
+   */
+  summarize(top = 5) {
+    const traces = [...this.traces.values()].filter(t => t.steps > 0);
+    const duration = t => (t.first !== null ? t.last - t.first : null);
+    const timed = traces.filter(t => t.first !== null).sort((a, b) => duration(b) - duration(a));
+    const failed = traces.filter(t => t.failure)
+      .sort((a, b) => (duration(b) ?? -1) - (duration(a) ?? -1));
+    const sorted = timed.map(duration).reverse();
+
+    return {
+      traces: traces.length,
+      failed: failed.length,
+      durations: sorted.length > 0
+        ? { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), max: sorted[sorted.length - 1] }
+        : null,
+      slowest: timed.slice(0, top).map(t => ({ ...t, duration: duration(t) })),
+      failedTraces: failed.slice(0, top).map(t => ({ ...t, duration: duration(t) }))
+    };
+  }
+}